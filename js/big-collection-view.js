@@ -13,17 +13,55 @@
  */
 var BigCollectionView = Backbone.View.extend({
 
-	initialize: function() {
+	initialize: function(options) {
+		// Container might be passed to constructor
+		if (options && (options.container || options.el))
+			this.container = options.container || options.el;
 		this._initialized = false;
+		this._isDestroyed = false;
+		this._isRenderingChildren = false; // whether 'before:render:children' is triggered in this frame
 		this._frameRequested = false;
 		this._forceRedraw = false;
 		this._isEmptyView = false;
 		this._visibleItems = [0, 0];
-		this._clientHeight = 0;
+		this._clientSize = 0;
+		this._columnCount = 1;
 		this._views = new Map(); // (index, Item) map
 		this._positionsMap = new Map(); // (index, position) map
-		this._heightsMap = new Map(); // (index, height) map
-		this._expandedHeightsMap = new Map(); // (index, height) map
+		this._heightsMap = new Map(); // (index, height) map, heights are widths in horizontal orientation
+		this._expandedHeights = new Map(); // (entry key, height) map, entry key is model cid or header key
+		this._groups = new Array(); // sections of grouped list
+		this._models = null; // filtered and sorted models if collection is projected
+		this._modelIndices = null; // (model cid, model index) map, built on demand
+		this._selection = new Set(); // IDs of selected models
+		this._selectionAnchor = null; // ID of model where range selection starts
+		this._activeIndex = null; // index of item moved by keyboard
+		this._activeModel = null; // model of active item, keeps index after collection changes
+		this._tabStopView = null; // view of active item that is focusable by Tab
+		this._focusPending = false; // whether focus active item view once it is rendered
+		this._ariaState = null; // number of items ARIA attributes are set for
+		this._dragStart = null; // pointer down on drag handle before dragging starts
+		this._drag = null; // dragged item state
+		this._drop = null; // drop placeholder state
+		this._dragHandlers = null; // document listeners while pointer is down
+		this._clickSuppressed = false;
+		this._keyDownHandler = null;
+		this._focusInHandler = null;
+		this._focusOutHandler = null;
+		this._viewKeys = new WeakMap(); // (view, entry key) map
+		this._stickyHeaderIndex = null;
+		this._loadRequests = {top: null, bottom: null}; // pending onNeedMore promises
+		this._loadExhausted = {top: false, bottom: false}; // whether the last load has added nothing
+		this._loadingViews = {top: null, bottom: null};
+		this._stuckToEnd = true; // whether viewport is scrolled to the end
+		this._sparseModels = new Map(); // (index, model) map of loaded models in sparse mode
+		this._loadingPages = new Set(); // indices of pages being loaded
+		this._pageRequestTimer = null;
+		this._viewTypes = new WeakMap(); // (child view, child view class) map
+		this._viewPool = new Map(); // (child view class, array of views) map of recycled views
+		this._emptyView = null;
+		this._scrollHandler = null; // native scroll event listener
+		this._layout = new PrefixSumTree(); // row heights by row index derived from expanded heights
 		this._indicesCache = new LRUCache({
 			capacity: 10,
 			context: this,
@@ -36,9 +74,19 @@ var BigCollectionView = Backbone.View.extend({
 		this._scrollEndTimer = null;
 		this._functionsQueue = new Array(); // render-based functions queue
 		this._isFunctionActive = false; // whether function in process
+		this._pendingRemovals = new Array(); // indices of models removed before 'update' event
+		this._reorderOptions = null; // options of the last 'sort' event
+		this._scrollRequest = null; // current scroll to element request
+		this._resizeObserver = null;
+		this._resizePollTimer = null;
+		this._containerResizeObserver = null;
+		this._onWindowResize = null;
+		this._childResizeRequested = false;
 
-		this.listenTo(this.collection, 'update', this._onCollectionChanged);
-		this.listenTo(this.collection, 'reset', this._onCollectionChanged);
+		this.listenTo(this.collection, 'remove', this._onCollectionRemove);
+		this.listenTo(this.collection, 'update', this._onCollectionUpdate);
+		this.listenTo(this.collection, 'reset', this._onCollectionReset);
+		this.listenTo(this.collection, 'sort', this._onCollectionSort);
 		this.on({
 			'attach': this._onAttach.bind(this)
 		});
@@ -50,10 +98,21 @@ var BigCollectionView = Backbone.View.extend({
 	useIScroll: false,
 
 	/**
-	 * The name of container selector. Must be set.
+	 * The name of container selector. Must be set unless container is set.
 	 */
 	containerSelectorName: null,
 
+	/**
+	 * The container element, jQuery object or selector. Overrides containerSelectorName.
+	 * Might be passed to constructor as 'container' or 'el' option.
+	 */
+	container: null,
+
+	/**
+	 * CSS class of content element that holds child views. Content element also gets unique ID.
+	 */
+	contentClassName: 'scroller',
+
 	/**
 	 * Offset between elements.
 	 */
@@ -65,10 +124,128 @@ var BigCollectionView = Backbone.View.extend({
 	estimatedItemHeight: 64,
 
 	/**
-	 * Empty view class definition.
+	 * Estimated item width. Used in horizontal orientation.
+	 */
+	estimatedItemWidth: 64,
+
+	/**
+	 * Items layout orientation: 'vertical' or 'horizontal'.
+	 */
+	orientation: 'vertical',
+
+	/**
+	 * Fixed number of columns in grid mode.
+	 * Setting either this or minItemWidth turns grid mode on.
+	 * In horizontal orientation columns are laid out along Y axis.
+	 */
+	columnCount: null,
+
+	/**
+	 * Minimum item width in grid mode. Number of columns is computed
+	 * from container width and recomputed on container resize.
+	 * In horizontal orientation container height is used instead.
+	 */
+	minItemWidth: null,
+
+	/**
+	 * Whether start scrolled to the last item and keep it in view while viewport is scrolled to the end.
+	 * Scroll position stays at the end when items are appended or change their sizes.
+	 * Used for chats and logs.
+	 */
+	stickToBottom: false,
+
+	/**
+	 * Total number of items in sparse mode. Setting it turns sparse mode on,
+	 * then collection holds loaded models only and their indices are taken from indexAttribute.
+	 * Use setTotalLength() to change it after rendering.
+	 */
+	totalLength: null,
+
+	/**
+	 * Model attribute with item index in sparse mode.
+	 */
+	indexAttribute: 'index',
+
+	/**
+	 * Number of items in page for page loader.
+	 */
+	pageSize: 100,
+
+	/**
+	 * Delay in milliseconds after scrolling before missing pages are requested.
+	 */
+	pageRequestDelay: 100,
+
+	/**
+	 * Function that loads page in sparse mode. Loaded models should be added to collection.
+	 * Should return a promise (jQuery one is fine), the page is not requested again until it settles.
+	 * 
+	 * @param {Number} page       The page index.
+	 * @param {Number} pageSize   The number of items in page.
+	 */
+	loadPage: null,
+
+	/**
+	 * Placeholder view class definition. Rendered for indices without loaded model in sparse mode.
+	 * Constructor gets 'index' option.
+	 */
+	placeholderView: null,
+
+	/**
+	 * Empty view class definition or function that returns it.
 	 */
 	emptyView: null,
 
+	/**
+	 * Empty view constructor options. Object or function that returns it.
+	 */
+	emptyViewOptions: null,
+
+	/**
+	 * Function that returns group key of model. Turns grouping on along with headerView.
+	 * Models of the same group should go in a row, so collection is supposed to be sorted by group.
+	 * Grouping is not supported in grid mode.
+	 * 
+	 * @param {Backbone.Model} model  The model.
+	 */
+	groupBy: null,
+
+	/**
+	 * Group header view class definition.
+	 * Header view model has 'group' (group key) and 'count' (number of models) attributes,
+	 * the last one is updated on collection changes.
+	 */
+	headerView: null,
+
+	/**
+	 * Estimated header height. Estimated width in horizontal orientation.
+	 * Estimated item size is used if not set.
+	 */
+	estimatedHeaderHeight: null,
+
+	/**
+	 * Whether pin header of the current group to the top of viewport.
+	 */
+	stickyHeaders: true,
+
+	/**
+	 * Function that decides whether model is shown. Collection itself is not changed.
+	 * Use setFilter() to change it after rendering.
+	 * 
+	 * @param {Backbone.Model} model            The model.
+	 * @param {Number} index                    The model index in collection.
+	 * @param {Backbone.Collection} collection  The collection.
+	 * @return {Boolean} True if model should be shown and false otherwise.
+	 */
+	filter: null,
+
+	/**
+	 * Order of shown models if it differs from collection order. Either attribute name,
+	 * function of model (like sortBy) or function of two models (like sort) may be used.
+	 * Use setComparator() to change it after rendering.
+	 */
+	viewComparator: null,
+
 	/**
 	 * The scrollbar size changes based on the proportion between the wrapper 
 	 * and the scroller width/height. Setting this to false makes the scrollbar a fixed size.
@@ -88,7 +265,136 @@ var BigCollectionView = Backbone.View.extend({
 	modelStoresExpandedState: false,
 
 	/**
-	 * Child view class definition.
+	 * Whether detect child views size changes automatically.
+	 * If true there is no need to call updatePositions() on child resize.
+	 * ResizeObserver is used if available, otherwise sizes are polled.
+	 */
+	observeChildResize: false,
+
+	/**
+	 * Whether reuse removed child views for new models instead of creating new ones.
+	 * Only views with setModel(model, options) or rebind(model, options) method are reused,
+	 * the method should replace model and rewire listeners. View is rendered after that.
+	 */
+	recycleChildViews: false,
+
+	/**
+	 * Child views sizes polling interval in milliseconds.
+	 * Used for child resize detection when ResizeObserver is unavailable.
+	 */
+	childResizePollInterval: 250,
+
+	/**
+	 * Distance in pixels from either end of content where more items are requested.
+	 */
+	loadMoreThreshold: 200,
+
+	/**
+	 * Function that loads more items at the given end of collection.
+	 * Should return a promise (jQuery one is fine) or nothing if there is nothing to load.
+	 * Only one request per direction is made at a time. Scroll position is kept
+	 * when items are prepended.
+	 * 
+	 * @param {String} direction  The direction: 'top' or 'bottom'.
+	 */
+	onNeedMore: null,
+
+	/**
+	 * Loading indicator view class definition.
+	 * Shown at the corresponding edge of viewport while loading.
+	 * Constructor gets 'direction' option.
+	 */
+	loadingView: null,
+
+	/**
+	 * Selection mode: null (no selection), 'single' or 'multiple'.
+	 */
+	selectionMode: null,
+
+	/**
+	 * CSS class of selected child view element.
+	 */
+	selectedClassName: 'selected',
+
+	/**
+	 * Whether arrow keys, PageUp/PageDown and Home/End move active item.
+	 * Active item view gets focus and it is the only tab stop in list.
+	 */
+	keyboardNavigation: false,
+
+	/**
+	 * ARIA role of container: 'list' or 'listbox'. Set to false to disable ARIA attributes.
+	 * By default it is 'listbox' in selection mode or with keyboard navigation and 'list' otherwise.
+	 */
+	ariaRole: null,
+
+	/**
+	 * Whether items can be reordered by dragging child views. Not supported in grid layout.
+	 */
+	reorderable: false,
+
+	/**
+	 * Selector of drag handle inside child view element. Whole element is the handle if null.
+	 */
+	dragHandleSelector: null,
+
+	/**
+	 * Distance in pixels pointer should move to start dragging.
+	 */
+	dragStartDistance: 5,
+
+	/**
+	 * CSS class of dragged element copy that follows pointer.
+	 */
+	dragClassName: 'dragging',
+
+	/**
+	 * CSS class of drop placeholder element.
+	 */
+	dropPlaceholderClassName: 'drop-placeholder',
+
+	/**
+	 * Size in pixels of viewport edge zones where dragging scrolls the list.
+	 */
+	dragScrollZone: 40,
+
+	/**
+	 * Maximum scroll speed in pixels per frame while dragging near viewport edge.
+	 */
+	dragScrollSpeed: 20,
+
+	/**
+	 * Drag context shared by collection views to drag items between them, see DragContext.
+	 * Views should be reorderable.
+	 */
+	dragContext: null,
+
+	/**
+	 * Whether dropped model is moved in collection.
+	 * Model is not moved in sparse mode, when collection is filtered or sorted by view
+	 * and when collection has comparator, handler of drop should move it then.
+	 */
+	moveOnDrop: true,
+
+	/**
+	 * Prefix of child view events triggered on collection view.
+	 * E.g. 'click' event of child view is triggered as 'childview:click'. Set to false to disable.
+	 */
+	childViewEventPrefix: 'childview',
+
+	/**
+	 * Hash of child view event handlers in Marionette style.
+	 * Handler is a function or a method name, it gets arguments of child view event.
+	 */
+	childViewEvents: null,
+
+	/**
+	 * Hash of child view events to be triggered on collection view under another name.
+	 */
+	childViewTriggers: null,
+
+	/**
+	 * Child view class definition or function that returns it.
 	 * 
 	 * @param {Backbone.Model} model  The model.
 	 */
@@ -96,6 +402,12 @@ var BigCollectionView = Backbone.View.extend({
 		return null;
 	},
 
+	/**
+	 * Child view constructor options. Object or function with signature function(model, index).
+	 * Model and collectionView options are added to them.
+	 */
+	childViewOptions: null,
+
 	/**
 	 * Requests children rendering
 	 */
@@ -113,10 +425,124 @@ var BigCollectionView = Backbone.View.extend({
 	},
 
 	/**
+	 * Reorders rendered children to match collection models order.
+	 * Child views and measured heights are kept with their models,
+	 * and the item at the top of viewport stays in place.
 	 * Added in compatibility with Marionette.CollectionView
 	 */
 	reorder: function() {
-		// TODO
+		this._pendingRemovals.length = 0;
+		if (!this._initialized || this._isEmptyView || this._isSparse()) // sparse items order does not depend on collection
+			return;
+		this._remapEntries();
+		this.addRenderCompleteCallback(this, this._onCollectionUpdateRendered);
+		this._requestFrame();
+	},
+
+	/**
+	 * Remaps rendered entries to the new collection state by their keys.
+	 * Filter, order and groups are applied again, so headers follow their sections.
+	 * Complexity: O(N), where N is collection length.
+	 * @private
+	 */
+	_remapEntries: function() {
+		// Keys of rendered entries at old indices
+		var keys = new Map();
+		this._views.forEach(function(view, index, map) {
+			keys.set(index, this._viewKeys.get(view));
+		}, this);
+		this._rebuildEntries();
+		// Build entry index lookup by the new order
+		var newIndices = new Map();
+		for (var i = 0; i < this._getEntryCount(); ++i)
+			newIndices.set(this._getEntryKey(i), i);
+		var mapper = function(index) {
+			var key = keys.get(index);
+			if (key === undefined || !newIndices.has(key))
+				return null;
+			return newIndices.get(key);
+		};
+		var anchors = this._captureScrollAnchors();
+		this._remapIndices(mapper);
+		// Rendered headers get actual size of their groups
+		this._groups.forEach(function(group) {
+			var view = this._views.get(group.start);
+			if (view)
+				view.model.set('count', group.count);
+		}, this);
+		this._rebuildLayout();
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._restoreScrollAnchor(anchors, mapper);
+	},
+
+	/**
+	 * Sets filter and shows models that pass it.
+	 * Child views of models that are still shown are kept.
+	 * 
+	 * @param {Function} filter   The filter. See {@link filter}.
+	 */
+	setFilter: function(filter) {
+		this.filter = filter;
+		this._reproject();
+	},
+
+	/**
+	 * Removes filter and shows all models.
+	 */
+	removeFilter: function() {
+		this.setFilter(null);
+	},
+
+	/**
+	 * Sets order of shown models.
+	 * 
+	 * @param {String|Function} comparator   The comparator. See {@link viewComparator}.
+	 */
+	setComparator: function(comparator) {
+		this.viewComparator = comparator;
+		this._reproject();
+	},
+
+	/**
+	 * Removes comparator, so models are shown in collection order.
+	 */
+	removeComparator: function() {
+		this.setComparator(null);
+	},
+
+	/**
+	 * Applies filter and comparator again.
+	 * @private
+	 */
+	_reproject: function() {
+		this._modelIndices = null;
+		if (!this._initialized)
+			return;
+		this._pendingRemovals.length = 0;
+		this._remapEntries();
+		this.addRenderCompleteCallback(this, this._onCollectionUpdateRendered);
+		this._requestFrame();
+	},
+
+	/**
+	 * Sets total number of items in sparse mode.
+	 * Items beyond the new length are removed.
+	 * 
+	 * @param {Number} length   The total length.
+	 */
+	setTotalLength: function(length) {
+		this.totalLength = length;
+		if (!this._initialized)
+			return;
+		this._rebuildSparseModels();
+		this._remapIndices(function(index) {
+			return (index < length) ? index : null;
+		});
+		this._rebuildLayout();
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._requestFrame();
 	},
 
 	/**
@@ -133,34 +559,27 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_updatePositions: function() {
-		if (this.collection.length == 0)
+		if (this._getEntryCount() == 0)
 			return;
-		var position, height, view, heightOverdraft, estimatedHeight;
-		estimatedHeight = this._getEstimatedElementHeightWithOffset();
+		var height, view;
 		for (var index = this._visibleItems[0]; index <= this._visibleItems[1]; ++index) {
 			view = this._views.get(index);
+			if (!view)
+				continue;
 			height = this._getElementHeightWithOffset(view.$el);
 			this._heightsMap.set(index, height);
-			// Set expanded height items
-			if (height != estimatedHeight)
-				this._expandedHeightsMap.set(index, height);
-			else
-				this._expandedHeightsMap.delete(index);
-			if (index == this._visibleItems[0]) { // first item
-				position = this._obtainItemPosition(index);
-			} else {
-				this._positionsMap.set(index, position);
-				view.$el.css('top', position);
-			}
-			position += height;
+			this._storeExpandedHeight(index, height);
 		}
-		// Calculate summary height overdraft
-		heightOverdraft = 0;
-		this._expandedHeightsMap.forEach(function(value, key, map){
-			heightOverdraft += value - estimatedHeight;
-		}, this);
-		height = this.collection.length * estimatedHeight + heightOverdraft;
-		this._$content.css('height', height);
+		this._relayoutItems();
+		this._updateContentHeight();
+	},
+
+	/**
+	 * Updates content height based on items count and expanded heights.
+	 * @private
+	 */
+	_updateContentHeight: function() {
+		this._$content.css(this._getSizeProperty(), this._layout.total());
 		if (this.useIScroll) {
 			this._scrollRefreshRequested = true;
 			this._requestFrame();
@@ -169,28 +588,52 @@ var BigCollectionView = Backbone.View.extend({
 
 	/**
 	 * Obtains item position by it's index.
+	 * Complexity: O(log N), where N is collection length.
 	 * 
 	 * @param {Number} index  The item index.
 	 * @return {Number} Item position.
 	 * @private
 	 */
 	_obtainItemPosition: function(index) {
-		// Get previous item position and height
-		var prevIndex = index - 1;
-		if (this._positionsMap.has(prevIndex)) { // exists in map
-			var prevPosition = this._positionsMap.get(prevIndex);
-			var prevHeight = this._heightsMap.get(prevIndex);
-			return prevPosition + prevHeight;
-		} else { // previous doesn't exist
-			// Count for expanded height overdraft
-			var heightOverdraft = 0;
-			var estimatedHeight = this._getEstimatedElementHeightWithOffset();
-			this._expandedHeightsMap.forEach(function(value, key, map){
-				if (key < index)
-					heightOverdraft += value - estimatedHeight;
-			}, this);
-			return index * estimatedHeight + heightOverdraft;
-		}
+		var position = this._layout.prefixSum(this._getRowIndex(index));
+		// Drop placeholder takes the beginning of row
+		if (this._drop && index === this._drop.gapIndex && !this._drop.gapAfter)
+			position += this._drop.size;
+		return position;
+	},
+
+	/**
+	 * Obtains height of the row containing item.
+	 * 
+	 * @param {Number} index  The item index.
+	 * @return {Number} Row height.
+	 * @private
+	 */
+	_obtainItemHeight: function(index) {
+		return this._layout.get(this._getRowIndex(index));
+	},
+
+	/**
+	 * Obtains index of the first item in row at the given position.
+	 * Complexity: O(log N), where N is collection length.
+	 * 
+	 * @param {Number} position  The position.
+	 * @return {Number} Item index.
+	 * @private
+	 */
+	_obtainItemIndex: function(position) {
+		return this._layout.findIndex(position) * this._columnCount;
+	},
+
+	/**
+	 * Gets index of row containing item.
+	 * 
+	 * @param {Number} index  The item index.
+	 * @return {Number} Row index.
+	 * @private
+	 */
+	_getRowIndex: function(index) {
+		return Math.floor(index / this._columnCount);
 	},
 
 	/**
@@ -210,35 +653,21 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_discardExpandedStateById: function(id) {
-		// We need to find model's index in collection by its ID.
-		var index = this.getIndexById(id);
-		if (index === null || !this._expandedHeightsMap.has(index)) {
-			this._updatePositions();
-			return;
-		}
-		this._expandedHeightsMap.delete(index);
-		// Update positions of items in cache
-		if (this._heightsMap.has(index)) {
-			// Update this item's height
-			this._heightsMap.set(index, this._getEstimatedElementHeightWithOffset());
-			// Update all positions (even non-visible)
-			// Since Map class stores items in insertion order we need to get the key range.
-			var maxIndex = 0;
-			this._positionsMap.forEach(function(value, key, map){
-				maxIndex = Math.max(maxIndex, key);
-			}, this);
-			var position, height, view;
-			for (var i = index; i <= maxIndex; ++i) {
-				view = this._views.get(i);
-				height = this._heightsMap.get(i);
-				if (i == index) {
-					position = this._positionsMap.get(i);
-				} else {
-					this._positionsMap.set(i, position);
-					view.$el.css('top', position);
-				}
-				position += height;
+		var model = this.collection.get(id);
+		if (model && this._expandedHeights.has(model.cid)) {
+			this._expandedHeights.delete(model.cid);
+			var modelIndex = this._getModelIndexOf(model);
+			if (modelIndex < 0) { // model is filtered out
+				this._updatePositions();
+				return;
 			}
+			var index = this._getEntryIndex(modelIndex);
+			var height = this._getEstimatedElementHeightWithOffset();
+			this._updateRowHeight(this._getRowIndex(index));
+			if (this._heightsMap.has(index))
+				this._heightsMap.set(index, height);
+			// Update all positions (even non-visible)
+			this._relayoutItems();
 		}
 		this._updatePositions();
 	},
@@ -248,316 +677,2574 @@ var BigCollectionView = Backbone.View.extend({
 	 * 
 	 * @param {Backbone.Model} model  The model.
 	 * 
-	 * @return {Marionette.View} Returns view by model.
+	 * @return {Marionette.View} Returns view by model or null if it is not rendered.
 	 */
 	findViewByModel: function(model) {
-		var view = null;
-		this._views.forEach(function(value, key, map) {
-			if (value.model.cid == model.cid)
-				view = value;
-		}, this);
-		return view;
+		var index = this.getIndexByModel(model);
+		return (index === null) ? null : this.findViewByIndex(index);
 	},
 
 	/**
-	 * Checks if we are scrolling right now.
+	 * Finds child view by index.
 	 * 
-	 * @return True if scrolling and false otherwise.
+	 * @param {Number} index  The index of item.
+	 * 
+	 * @return {Marionette.View} Returns view by index or null if it is not rendered.
 	 */
-	isScrolling: function() {
-		return this._isScrolling;
+	findViewByIndex: function(index) {
+		var view = this._views.get(this._getEntryIndex(index));
+		return (view && this._isChildView(view)) ? view : null;
 	},
 
 	/**
-	 * Gets item index by model's ID.
+	 * Triggers event and calls corresponding 'on' method if exists.
+	 * E.g. 'add:child' event calls onAddChild method.
+	 * Added in compatibility with Marionette.View
 	 * 
-	 * @param {String} id   The model's ID.
-	 * @return {Number} The index or null if haven't found.
+	 * @param {String} event   The event name.
+	 * @return {Object} The result of the method.
 	 */
-	getIndexById: function(id) {
-		for (var i = 0; i < this.collection.length; ++i) {
-			if (this.collection.at(i).get('id') == id) {
-				return i;
-			}
+	triggerMethod: function(event) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		var methodName = 'on' + event.replace(/(^|:)(\w)/g, function(match, prefix, letter) {
+			return letter.toUpperCase();
+		});
+		var result;
+		if (_.isFunction(this[methodName]))
+			result = this[methodName].apply(this, args);
+		this.trigger.apply(this, arguments);
+		return result;
+	},
+
+	/**
+	 * Destroys collection view. Destroys child views, IScroll instance and content element,
+	 * stops timers and observers and removes all listeners.
+	 * Container element stays in DOM.
+	 * Triggers 'before:destroy' and 'destroy' events.
+	 * 
+	 * @return {BigCollectionView} Returns this.
+	 */
+	destroy: function() {
+		if (this._isDestroyed)
+			return this;
+		this.triggerMethod('before:destroy', this);
+		this._isDestroyed = true;
+		this.stopListening();
+		this.undelegateEvents();
+		// Stop pending requests
+		this._functionsQueue.length = 0;
+		this._scrollRequest = null;
+		this._loadRequests = {top: null, bottom: null};
+		this._loadingPages.clear();
+		clearTimeout(this._scrollEndTimer);
+		clearTimeout(this._pageRequestTimer);
+		clearInterval(this._resizePollTimer);
+		this._scrollEndTimer = this._pageRequestTimer = this._resizePollTimer = null;
+		if (this._containerResizeObserver)
+			this._containerResizeObserver.disconnect();
+		if (this._onWindowResize)
+			$(window).off('resize', this._onWindowResize);
+		if (this._scroll) {
+			this._scroll.destroy();
+			this._scroll = null;
 		}
-		return null;
+		if (this._scrollHandler)
+			this.$el.off('scroll', this._scrollHandler);
+		if (this._keyDownHandler)
+			this.$el.off('keydown', this._keyDownHandler);
+		if (this.dragContext)
+			this.dragContext.remove(this);
+		if (this._focusInHandler)
+			this.$el.off('focusin', this._focusInHandler).off('focusout', this._focusOutHandler);
+		// Destroy views
+		if (this._initialized) {
+			this._hideLoadingView('top');
+			this._hideLoadingView('bottom');
+			this._clear();
+			this._$content.remove();
+		}
+		this._viewPool.forEach(function(pool, childViewType, map) {
+			pool.forEach(this._destroyView, this);
+		}, this);
+		this._viewPool.clear();
+		this._tabStopView = null;
+		this.triggerMethod('destroy', this);
+		this.off();
+		return this;
 	},
 
 	/**
-	 * Scrolls to desired element with the given model ID.
-	 * Complexity: O(N), where N is collection length.
+	 * Checks if collection view has been destroyed.
 	 * 
-	 * @param {String} id           The model's ID.
-	 * @param {Function} callback   The callback on animation complete. Optional.
+	 * @return True if destroyed and false otherwise.
 	 */
-	scrollToElementById: function(id, callback) {
-		// We need to find model's index in collection by its ID.
-		var index = this.getIndexById(id);
-		this.scrollToElementByIndex(index, callback);
+	isDestroyed: function() {
+		return this._isDestroyed;
 	},
 
 	/**
-	 * Scrolls to desired element with the given index.
+	 * Checks if we are scrolling right now.
 	 * 
-	 * @param {Integer} index       The element index.
-	 * @param {Function} callback   The callback on animation complete. Optional.
+	 * @return True if scrolling and false otherwise.
 	 */
-	scrollToElementByIndex: function(index, callback) {
-		this._addFunctionRequest('_scrollToElementByIndex', index, callback);
+	isScrolling: function() {
+		return this._isScrolling;
 	},
 
 	/**
-	 * Scrolls to desired element with the given index.
+	 * Checks if viewport is kept scrolled to the end in stickToBottom mode.
 	 * 
-	 * @param {Integer} index       The element index.
-	 * @param {Function} callback   The callback on animation complete. Optional.
-	 * @private
+	 * @return True if stuck to bottom and false otherwise.
 	 */
-	 _scrollToElementByIndex: function(index, callback) {
-		if (index === null) return;
-		var position = index * this._getEstimatedElementHeightWithOffset();
-		position = this._fixScrollPosition(position);
-		if (this.useIScroll) {
-			this._scroll.scrollTo(0, -position);
-			if (callback !== null && callback !== undefined)
-				this.addRenderCompleteCallback(this, callback);
+	isStuckToBottom: function() {
+		return this._isStuckToEnd();
+	},
+
+	/**
+	 * Checks if items are being loaded.
+	 * 
+	 * @param {String} direction  The direction: 'top' or 'bottom'. Optional.
+	 * @return {Boolean} True if loading and false otherwise.
+	 */
+	isLoading: function(direction) {
+		if (direction)
+			return !!this._loadRequests[direction];
+		return !!(this._loadRequests.top || this._loadRequests.bottom);
+	},
+
+	/**
+	 * Gets item index by model's ID. Collection idAttribute is respected.
+	 * Complexity: O(1). Index lookup is rebuilt in O(N) after collection changes.
+	 * 
+	 * @param {String} id   The model's ID.
+	 * @return {Number} The index or null if haven't found.
+	 */
+	getIndexById: function(id) {
+		var model = this.collection.get(id);
+		return model ? this.getIndexByModel(model) : null;
+	},
+
+	/**
+	 * Gets item index by model.
+	 * Complexity: O(1). Index lookup is rebuilt in O(N) after collection changes.
+	 * 
+	 * @param {Backbone.Model} model   The model.
+	 * @return {Number} The index or null if model is not shown.
+	 */
+	getIndexByModel: function(model) {
+		var index = this._getModelIndexOf(model);
+		return (index === undefined || index < 0) ? null : index;
+	},
+
+	/**
+	 * Gets model by item index.
+	 * 
+	 * @param {Number} index   The index of item.
+	 * @return {Backbone.Model} The model or null if there is no (loaded) model.
+	 */
+	getModelAtIndex: function(index) {
+		if (index < 0 || index >= this._getModelCount())
+			return null;
+		return this._getModelAt(index) || null;
+	},
+
+	/**
+	 * Checks if model is selected.
+	 * 
+	 * @param {Backbone.Model|String} model   The model or its ID.
+	 * @return {Boolean} True if selected and false otherwise.
+	 */
+	isSelected: function(model) {
+		return this._selection.has(this._getSelectionKey(model));
+	},
+
+	/**
+	 * Gets IDs of selected models.
+	 * 
+	 * @return {Array} The IDs.
+	 */
+	getSelectedIds: function() {
+		return Array.from(this._selection);
+	},
+
+	/**
+	 * Gets selected models.
+	 * 
+	 * @return {Array} The models.
+	 */
+	getSelectedModels: function() {
+		return _.compact(this.getSelectedIds().map(function(id) {
+			return this.collection.get(id);
+		}, this));
+	},
+
+	/**
+	 * Selects model. Replaces selection in single selection mode.
+	 * 
+	 * @param {Backbone.Model|String} model   The model or its ID.
+	 */
+	select: function(model) {
+		var key = this._getSelectionKey(model);
+		var selection = (this.selectionMode == 'multiple') ? new Set(this._selection) : new Set();
+		selection.add(key);
+		this._selectionAnchor = key;
+		this._setSelection(selection);
+	},
+
+	/**
+	 * Deselects model.
+	 * 
+	 * @param {Backbone.Model|String} model   The model or its ID.
+	 */
+	deselect: function(model) {
+		var selection = new Set(this._selection);
+		selection.delete(this._getSelectionKey(model));
+		this._setSelection(selection);
+	},
+
+	/**
+	 * Toggles model selection.
+	 * 
+	 * @param {Backbone.Model|String} model   The model or its ID.
+	 */
+	toggleSelection: function(model) {
+		if (this.isSelected(model))
+			this.deselect(model);
+		else
+			this.select(model);
+	},
+
+	/**
+	 * Selects models in range of indices, including not rendered ones.
+	 * Works in multiple selection mode only.
+	 * 
+	 * @param {Number} from       The index of the first item.
+	 * @param {Number} to         The index of the last item. Might be less than the first one.
+	 * @param {Boolean} add       Whether add range to selection instead of replacing it. Optional.
+	 */
+	selectRange: function(from, to, add) {
+		if (this.selectionMode != 'multiple')
+			return;
+		var selection = add ? new Set(this._selection) : new Set();
+		var last = Math.min(Math.max(from, to), this._getModelCount() - 1);
+		for (var index = Math.max(Math.min(from, to), 0); index <= last; ++index) {
+			var model = this._getModelAt(index);
+			if (model)
+				selection.add(this._getSelectionKey(model));
+		}
+		this._setSelection(selection);
+	},
+
+	/**
+	 * Selects all shown models. Works in multiple selection mode only.
+	 */
+	selectAll: function() {
+		this.selectRange(0, this._getModelCount() - 1);
+	},
+
+	/**
+	 * Clears selection.
+	 */
+	clearSelection: function() {
+		this._setSelection(new Set());
+	},
+
+	/**
+	 * Gets key of model in selection.
+	 * @private
+	 * 
+	 * @param {Backbone.Model|String} model   The model or its ID.
+	 * @return {String} The model ID or cid if model has no ID.
+	 */
+	_getSelectionKey: function(model) {
+		if (!(model instanceof Backbone.Model))
+			return model;
+		return (model.id !== undefined && model.id !== null) ? model.id : model.cid;
+	},
+
+	/**
+	 * Sets selection and updates rendered child views.
+	 * Triggers 'selection:change' event if selection has changed.
+	 * @private
+	 * 
+	 * @param {Set} selection   The set of model IDs.
+	 */
+	_setSelection: function(selection) {
+		var changed = (selection.size != this._selection.size);
+		if (!changed) {
+			selection.forEach(function(key) {
+				if (!this._selection.has(key))
+					changed = true;
+			}, this);
+		}
+		if (!changed)
+			return;
+		this._selection = selection;
+		this._views.forEach(function(view, index, map) {
+			if (this._isChildView(view))
+				this._applySelectedState(view);
+		}, this);
+		this.triggerMethod('selection:change', this, this.getSelectedIds());
+	},
+
+	/**
+	 * Removes models that are not in collection anymore from selection.
+	 * @private
+	 */
+	_pruneSelection: function() {
+		var selection = new Set();
+		this._selection.forEach(function(key) {
+			if (this.collection.get(key))
+				selection.add(key);
+		}, this);
+		this._setSelection(selection);
+	},
+
+	/**
+	 * Applies selected state to child view.
+	 * Toggles selectedClassName and calls setSelected(selected) method if view has one.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 */
+	_applySelectedState: function(view) {
+		if (!this.selectionMode)
+			return;
+		var selected = this.isSelected(view.model);
+		view.$el.toggleClass(this.selectedClassName, selected);
+		if (this._getAriaRole())
+			view.$el.attr('aria-selected', selected);
+		if (view.setSelected)
+			view.setSelected(selected);
+	},
+
+	/**
+	 * Finds rendered child view containing element.
+	 * @private
+	 * 
+	 * @param {Element} element   The element.
+	 * @return {Backbone.View} The child view or null.
+	 */
+	_findViewByElement: function(element) {
+		var content = this._$content[0];
+		while (element && element.parentNode !== content)
+			element = element.parentNode;
+		var result = null;
+		this._views.forEach(function(view, index, map) {
+			if (view.$el[0] === element && this._isChildView(view))
+				result = view;
+		}, this);
+		return result;
+	},
+
+	/**
+	 * On child view click listener.
+	 * Click selects item, Ctrl/Cmd-click toggles it and Shift-click selects range.
+	 * @private
+	 * 
+	 * @param {Event} event   The click event.
+	 */
+	_onItemClick: function(event) {
+		if (this._clickSuppressed)
+			return;
+		var view = this._findViewByElement(event.target);
+		if (view)
+			this._selectByEvent(view.model, event);
+	},
+
+	/**
+	 * Selects model with respect to modifier keys of event.
+	 * @private
+	 * 
+	 * @param {Backbone.Model} model   The model.
+	 * @param {Event} event            The mouse or keyboard event.
+	 */
+	_selectByEvent: function(model, event) {
+		var key = this._getSelectionKey(model);
+		var toggle = event.ctrlKey || event.metaKey;
+		if (event.shiftKey && this.selectionMode == 'multiple' && this._selectionAnchor !== null) {
+			var from = this.getIndexById(this._selectionAnchor);
+			var to = this.getIndexByModel(model);
+			if (from !== null && to !== null) {
+				this.selectRange(from, to, toggle);
+				return;
+			}
+		}
+		if (toggle) {
+			this.toggleSelection(key);
+		} else {
+			this._setSelection(new Set([key]));
+		}
+		this._selectionAnchor = key;
+	},
+
+	/**
+	 * On container key down listener.
+	 * @private
+	 * 
+	 * @param {Event} event   The keydown event.
+	 */
+	_onKeyDown: function(event) {
+		if ($(event.target).is('input, textarea, select, [contenteditable]'))
+			return;
+		if (this.keyboardNavigation && this._navigate(event)) {
+			event.preventDefault();
+		} else if (this.selectionMode == 'multiple' && (event.ctrlKey || event.metaKey) && event.key && event.key.toLowerCase() == 'a') {
+			this.selectAll();
+			event.preventDefault();
+		} else if (this.selectionMode && event.key == 'Escape') {
+			this.clearSelection();
+		}
+	},
+
+	/**
+	 * Gets index of active item, which is moved by keyboard.
+	 * Index follows the active model when collection changes.
+	 * 
+	 * @return {Number} The index or null if there is no active item.
+	 */
+	getActiveIndex: function() {
+		if (this._activeIndex === null)
+			return null;
+		if (this._activeModel) {
+			var index = this.getIndexByModel(this._activeModel);
+			if (index !== null)
+				this._activeIndex = index;
+			else
+				this._activeModel = null;
+		}
+		var count = this._getModelCount();
+		return (count == 0) ? null : Math.min(this._activeIndex, count - 1);
+	},
+
+	/**
+	 * Sets active item and makes it fully visible.
+	 * 
+	 * @param {Number} index    The index of item or null to reset active item.
+	 * @param {Boolean} focus   Whether focus item element. It is focused once rendered. Optional.
+	 */
+	setActiveIndex: function(index, focus) {
+		if (index !== null) {
+			var count = this._getModelCount();
+			if (count == 0)
+				return;
+			index = Math.max(0, Math.min(index, count - 1));
+		}
+		if (focus && index !== null)
+			this._focusPending = true;
+		this._setActiveIndex(index);
+		this.makeItemFullyVisibleByIndex(index);
+	},
+
+	/**
+	 * Sets active item without scrolling.
+	 * Triggers 'active:change' event with collection view and index if active item has changed.
+	 * @private
+	 * 
+	 * @param {Number} index   The index of item or null.
+	 */
+	_setActiveIndex: function(index) {
+		var changed = (index !== this.getActiveIndex());
+		this._activeIndex = index;
+		this._activeModel = (index === null) ? null : this._getModelAt(index);
+		if (this._initialized)
+			this._updateTabStop();
+		if (changed)
+			this.triggerMethod('active:change', this, index);
+	},
+
+	/**
+	 * Finds rendered view of item by index, including placeholder.
+	 * @private
+	 * 
+	 * @param {Number} index   The index of item.
+	 * @return {Backbone.View} The view or null if it is not rendered.
+	 */
+	_findItemView: function(index) {
+		if (index === null)
+			return null;
+		return this._views.get(this._getEntryIndex(index)) || null;
+	},
+
+	/**
+	 * Makes active item view the only tab stop in list (roving tabindex).
+	 * Container becomes the tab stop while active item is not rendered.
+	 * Focuses active item view if focus has been requested.
+	 * @private
+	 */
+	_updateTabStop: function() {
+		if (!this.keyboardNavigation)
+			return;
+		var view = this._findItemView(this.getActiveIndex());
+		if (this._tabStopView && this._tabStopView !== view)
+			this._tabStopView.$el.attr('tabindex', -1);
+		this._tabStopView = view;
+		this.$el.attr('tabindex', view ? -1 : 0);
+		if (view && this._getAriaRole() == 'listbox') {
+			if (!view.$el.attr('id'))
+				view.$el.attr('id', this.cid + '-' + view.cid);
+			this.$el.attr('aria-activedescendant', view.$el.attr('id'));
+		} else {
+			this.$el.removeAttr('aria-activedescendant');
+		}
+		if (view) {
+			view.$el.attr('tabindex', 0);
+			if (this._focusPending) {
+				this._focusPending = false;
+				view.$el[0].focus({preventScroll: true});
+			}
+		}
+	},
+
+	/**
+	 * Gets index of item at the top of viewport.
+	 * @private
+	 * 
+	 * @return {Number} The index of item.
+	 */
+	_getTopVisibleIndex: function() {
+		var index = this._obtainItemIndex(this._getScrollPosition());
+		if (this._getModelIndex(index) < 0) // group header
+			++index;
+		return this._getModelIndex(index);
+	},
+
+	/**
+	 * Gets index of item one page away from the given one.
+	 * @private
+	 * 
+	 * @param {Number} index       The index of item.
+	 * @param {Number} direction   The direction: 1 for page down and -1 for page up.
+	 * @return {Number} The index of item. Might be out of range.
+	 */
+	_getPageIndex: function(index, direction) {
+		var entryIndex = this._getEntryIndex(index);
+		var position = this._obtainItemPosition(entryIndex) + direction * this._getClientSize();
+		var target = this._obtainItemIndex(Math.max(position, 0)) + entryIndex % this._columnCount;
+		target = Math.min(target, this._getEntryCount() - 1);
+		if (this._getModelIndex(target) < 0) // group header
+			++target;
+		target = this._getModelIndex(target);
+		// Row might be larger than viewport
+		if (target == index)
+			target += direction * this._columnCount;
+		return target;
+	},
+
+	/**
+	 * Gets index of item where navigation key moves active item.
+	 * @private
+	 * 
+	 * @param {String} key      The key.
+	 * @param {Number} index    The index of active item or null.
+	 * @return {Number} The index of item or null if key is not a navigation key.
+	 */
+	_getNavigationIndex: function(key, index) {
+		var count = this._getModelCount();
+		var horizontal = this._isHorizontal();
+		var step = this._columnCount;
+		var target;
+		switch (key) {
+		case 'Home':
+			return 0;
+		case 'End':
+			return count - 1;
+		case (horizontal ? 'ArrowRight' : 'ArrowDown'):
+			target = index + step;
+			break;
+		case (horizontal ? 'ArrowLeft' : 'ArrowUp'):
+			target = index - step;
+			break;
+		case (horizontal ? 'ArrowDown' : 'ArrowRight'):
+			if (step == 1)
+				return null;
+			target = index + 1;
+			break;
+		case (horizontal ? 'ArrowUp' : 'ArrowLeft'):
+			if (step == 1)
+				return null;
+			target = index - 1;
+			break;
+		case 'PageDown':
+			target = (index === null) ? 0 : this._getPageIndex(index, 1);
+			break;
+		case 'PageUp':
+			target = (index === null) ? 0 : this._getPageIndex(index, -1);
+			break;
+		default:
+			return null;
+		}
+		// The first key press activates item at the top of viewport
+		if (index === null)
+			return this._getTopVisibleIndex();
+		return Math.max(0, Math.min(target, count - 1));
+	},
+
+	/**
+	 * Moves active item by navigation key and updates selection.
+	 * Shift extends selection range, Ctrl/Cmd moves active item only.
+	 * @private
+	 * 
+	 * @param {Event} event   The keydown event.
+	 * @return {Boolean} True if key has been handled and false otherwise.
+	 */
+	_navigate: function(event) {
+		if (this._getModelCount() == 0)
+			return false;
+		var index = this.getActiveIndex();
+		if (event.key == ' ' && index !== null) {
+			var activeModel = this._getModelAt(index);
+			if (this.selectionMode && activeModel)
+				this.toggleSelection(activeModel);
+			return !!this.selectionMode;
+		}
+		var target = this._getNavigationIndex(event.key, index);
+		if (target === null)
+			return false;
+		this.setActiveIndex(target, true);
+		var model = this._getModelAt(target);
+		if (this.selectionMode && model && !(event.ctrlKey || event.metaKey))
+			this._selectByEvent(model, event);
+		return true;
+	},
+
+	/**
+	 * On container focus in listener.
+	 * Item that gets focus (e.g. by click) becomes active.
+	 * @private
+	 * 
+	 * @param {Event} event   The focusin event.
+	 */
+	_onFocusIn: function(event) {
+		var view = this._findViewByElement(event.target);
+		if (view) {
+			var index = this.getIndexByModel(view.model);
+			if (index !== null && index !== this.getActiveIndex())
+				this._setActiveIndex(index);
+		}
+	},
+
+	/**
+	 * On container focus out listener.
+	 * Drops focus request when focus leaves the list.
+	 * @private
+	 * 
+	 * @param {Event} event   The focusout event.
+	 */
+	_onFocusOut: function(event) {
+		if (!event.relatedTarget || !this.el.contains(event.relatedTarget))
+			this._focusPending = false;
+	},
+
+	/**
+	 * Scrolls to desired element with the given model ID.
+	 * Complexity: O(1), see {@link getIndexById}.
+	 * 
+	 * @param {String} id           The model's ID.
+	 * @param {Object} options      The scroll options. Optional.
+	 *                              See {@link scrollToElementByIndex}.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 */
+	scrollToElementById: function(id, options, callback) {
+		// We need to find model's index in collection by its ID.
+		var index = this.getIndexById(id);
+		this.scrollToElementByIndex(index, options, callback);
+	},
+
+	/**
+	 * Scrolls to desired element with the given index.
+	 * 
+	 * @param {Integer} index       The element index.
+	 * @param {Object} options      The scroll options. Optional. Possible options:
+	 *      - {String} align           The element alignment in viewport:
+	 *                                 'start', 'center', 'end' or 'nearest'. Default is 'start'.
+	 *      - {Number} offset          The offset added to scroll position. Default is 0.
+	 *      - {Boolean} animate        Whether animate scrolling. Default is true.
+	 *      - {Number} duration        The animation duration in milliseconds. Default is 400.
+	 *      - {String|Function} easing The jQuery easing name or easing function
+	 *                                 with signature function(progress). Default is 'swing'.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 */
+	scrollToElementByIndex: function(index, options, callback) {
+		if (_.isFunction(options)) {
+			callback = options;
+			options = null;
+		}
+		this._addFunctionRequest('_scrollToElementByIndex', index, options, callback);
+	},
+
+	/**
+	 * Default options for {@link scrollToElementByIndex}.
+	 */
+	scrollOptions: {
+		align: 'start',
+		offset: 0,
+		animate: true,
+		duration: 400,
+		easing: 'swing',
+	},
+
+	/**
+	 * Scrolls to desired element with the given index.
+	 * 
+	 * @param {Integer} index       The element index.
+	 * @param {Object} options      The scroll options. Optional.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 * @private
+	 */
+	_scrollToElementByIndex: function(index, options, callback) {
+		if (index === null) return;
+		this._scrollToEntry(this._getEntryIndex(index), options, callback);
+	},
+
+	/**
+	 * Scrolls to the first group with the given key.
+	 * 
+	 * @param {Object} key          The group key.
+	 * @param {Object} options      The scroll options. Optional.
+	 *                              See {@link scrollToElementByIndex}.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 */
+	scrollToGroup: function(key, options, callback) {
+		if (_.isFunction(options)) {
+			callback = options;
+			options = null;
+		}
+		this._addFunctionRequest('_scrollToGroup', key, options, callback);
+	},
+
+	/**
+	 * Implements {@link scrollToGroup}.
+	 * 
+	 * @see scrollToGroup
+	 * @param {Object} key          The group key.
+	 * @param {Object} options      The scroll options. Optional.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 * @private
+	 */
+	_scrollToGroup: function(key, options, callback) {
+		var group = _.findWhere(this._groups, {key: key});
+		if (group)
+			this._scrollToEntry(group.start, options, callback);
+	},
+
+	/**
+	 * Gets key of the group at the top of viewport.
+	 * 
+	 * @return {Object} The group key or null if list is not grouped.
+	 */
+	getTopGroup: function() {
+		if (!this._initialized || this._groups.length == 0)
+			return null;
+		var index = this._obtainItemIndex(this._getScrollPosition());
+		return this._groups[this._getGroupIndex(index)].key;
+	},
+
+	/**
+	 * Scrolls to desired entry with the given index.
+	 * @private
+	 * 
+	 * @param {Integer} index       The entry index.
+	 * @param {Object} options      The scroll options. Optional.
+	 * @param {Function} callback   The callback on animation complete. Optional.
+	 */
+	_scrollToEntry: function(index, options, callback) {
+		// New scroll request cancels the previous one
+		var request = {
+			index: index,
+			options: _.extend({}, this.scrollOptions, options),
+			callback: callback,
+		};
+		this._scrollRequest = request;
+		if (request.options.animate && request.options.duration > 0) {
+			this._animateScrollRequest(request);
+		} else {
+			this._setScrollPosition(this._getScrollPositionForIndex(index, request.options));
+			this._correctScrollRequest(request, this._maxLayoutPasses);
+		}
+	},
+
+	/**
+	 * Animates scrolling to element.
+	 * Target position is recalculated on every step since items get measured on the way.
+	 * @private
+	 * 
+	 * @param {Object} request   The scroll request.
+	 */
+	_animateScrollRequest: function(request) {
+		var options = request.options;
+		var from = this._getScrollPosition();
+		var easing = this._getEasingFunction(options.easing, options.duration);
+		var startTime = null;
+		var step = function(time) {
+			if (this._scrollRequest !== request) // cancelled
+				return;
+			if (startTime === null)
+				startTime = time;
+			var progress = Math.min((time - startTime) / options.duration, 1);
+			var to = this._getScrollPositionForIndex(request.index, options);
+			this._setScrollPosition(from + (to - from) * easing(progress));
+			if (progress < 1)
+				window.requestAnimationFrame(step);
+			else
+				this._correctScrollRequest(request, this._maxLayoutPasses);
+		}.bind(this);
+		window.requestAnimationFrame(step);
+	},
+
+	/**
+	 * Corrects scroll position after rendering, since target element
+	 * and elements around it might have heights different from estimated.
+	 * @private
+	 * 
+	 * @param {Object} request     The scroll request.
+	 * @param {Integer} attempts   The maximum number of corrections.
+	 */
+	_correctScrollRequest: function(request, attempts) {
+		this.addRenderCompleteCallback(this, function() {
+			if (this._scrollRequest !== request) // cancelled
+				return;
+			var position = this._getScrollPositionForIndex(request.index, request.options);
+			if (attempts > 0 && Math.abs(position - this._getScrollPosition()) >= 1) {
+				this._setScrollPosition(position);
+				this._correctScrollRequest(request, attempts - 1);
+			} else {
+				this._scrollRequest = null;
+				if (request.callback)
+					request.callback.call(this);
+			}
+		});
+		this._requestFrame();
+	},
+
+	/**
+	 * Gets easing function.
+	 * @private
+	 * 
+	 * @param {String|Function} easing   The jQuery easing name or easing function.
+	 * @param {Number} duration          The animation duration.
+	 * @return {Function} The easing function with signature function(progress).
+	 */
+	_getEasingFunction: function(easing, duration) {
+		if (_.isFunction(easing))
+			return easing;
+		var func = $.easing[easing] || $.easing.swing;
+		return function(progress) {
+			return func(progress, duration * progress, 0, 1, duration);
+		};
+	},
+
+	/**
+	 * Calculates scroll position to show element with the given alignment.
+	 * @private
+	 * 
+	 * @param {Integer} index       The element index.
+	 * @param {Object} options      The scroll options.
+	 * @return {Number} The scroll position.
+	 */
+	_getScrollPositionForIndex: function(index, options) {
+		var clientSize = this._getClientSize();
+		var position = this._obtainItemPosition(index);
+		var height = this._obtainItemHeight(index);
+		var scrollPosition = this._getScrollPosition();
+		var headerSize = this._getStickyHeaderSize(index);
+		var align = options.align;
+		if (align == 'nearest') {
+			if (position >= scrollPosition + headerSize && position + height <= scrollPosition + clientSize)
+				return scrollPosition; // already fully visible
+			align = (position < scrollPosition + headerSize || height > clientSize) ? 'start' : 'end';
+		}
+		if (align == 'start')
+			position -= headerSize; // item should not be covered by header
+		else if (align == 'center')
+			position += (height - clientSize) / 2;
+		else if (align == 'end')
+			position += height - clientSize;
+		return this._fixScrollPosition(position + options.offset);
+	},
+
+	/**
+	 * Fix for scrolling to the last items.
+	 * 
+	 * @param {Number} scrollPosition  The scroll position.
+	 * @return {Number} The fixed scroll position.
+	 * @private
+	 */
+	_fixScrollPosition: function(scrollPosition) {
+		// Layout is used instead of scroller size since the last one might be not refreshed yet
+		var maxScrollPosition = Math.max(this._layout.total() - this._getClientSize(), 0);
+		return Math.min(Math.max(scrollPosition, 0), maxScrollPosition);
+	},
+
+	/**
+	 * Makes item fully visible by model's ID.
+	 * 
+	 * @param {String} id  The model's ID.
+	 */
+	makeItemFullyVisibleById: function(id) {
+		// We need to find model's index in collection by its ID.
+		var index = this.getIndexById(id);
+		this.makeItemFullyVisibleByIndex(index);
+	},
+
+	/**
+	 * Makes item fully visible by index.
+	 * 
+	 * @param {Number} index  The index of item.
+	 */
+	makeItemFullyVisibleByIndex: function(index) {
+		this._addFunctionRequest('_makeItemFullyVisible', index);
+	},
+
+	/**
+	 * Checks if item is fully visible.
+	 * 
+	 * @param {Number} index  The item's index.
+	 * @return {Boolean} True if success and false otherwise.
+	 * @private
+	 */
+	_isItemFullyVisible: function(index) {
+		if (this._positionsMap.has(index)) {
+			var clientSize = this._getClientSize();
+			var scrollPosition = this._getScrollPosition();
+			var min = scrollPosition + this._getStickyHeaderSize(index);
+			var max = scrollPosition + clientSize;
+			var posMin = this._positionsMap.get(index);
+			var height = this._heightsMap.get(index);
+			var posMax = posMin + height;
+			return min <= posMin && posMin <= max &&
+				min <= posMax && posMax <= max;
+		} else {
+			return false;
+		}
+	},
+
+	/**
+	 * Makes item fully visible.
+	 * 
+	 * @param {Number} index  The index of item.
+	 * @private
+	 */
+	_makeItemFullyVisible: function(index) {
+		if (index === null)
+			return;
+		index = this._getEntryIndex(index);
+		if (!this._isItemFullyVisible(index))
+			this._scrollToEntry(index, {align: 'nearest'});
+	},
+
+	/**
+	 * Adds callback on render completion.
+	 * 
+	 * @param {Object} context      The context.
+	 * @param {Function} callback   The callback. Signature is function().
+	 */
+	addRenderCompleteCallback: function(context, callback) {
+		this._renderCallbackQueue.push({
+			context: context,
+			callback: callback,
+		});
+	},
+
+	/**
+	 * Fires all callbacks on render completion.
+	 * @private
+	 */
+	_fireRenderCompleteCallbacks: function() {
+		if (this._renderCallbackQueue.length > 0) {
+			// Callback queue might be modified during callback call, thus we store the size.
+			var i,n;
+			n = this._renderCallbackQueue.length;
+			for (i = 0; i < n; ++i) {
+				var data = this._renderCallbackQueue[i];
+				data.callback.call(data.context);
+			}
+			// Remove processed items from queue
+			this._renderCallbackQueue.splice(0, n);
+		}
+	},
+
+	/**
+	 * Places render-dependent function call to queue.
+	 * So this function guarantees that next request is served only after render is complete.
+	 * @private
+	 */
+	_addFunctionRequest: function() {
+		const args = Array.from(arguments);
+		this._functionsQueue.push(args);
+		this._processFunctionRequest();
+	},
+
+	/**
+	 * Processes first function request in the queue.
+	 * @private
+	 */
+	_processFunctionRequest: function() {
+		if (!this._isFunctionActive && this._functionsQueue.length > 0) {
+			this._isFunctionActive = true;
+			// Process the request
+			var request = this._functionsQueue.shift();
+			var args = request.splice(1);
+			this[request].apply(this, args);
+			// Request frame
+			this.addRenderCompleteCallback(this, this._onFunctionRequestFinished);
 			this._requestFrame();
+		}
+	},
+
+	/**
+	 * Render complete callback upon function request.
+	 * @private
+	 */
+	_onFunctionRequestFinished: function() {
+		this._isFunctionActive = false;
+		this._processFunctionRequest(); // process next request
+	},
+
+	/**
+	 * On attach event listener.
+	 * @private
+	 */
+	_onAttach: function() {
+		if (this._initialized)
+			return;
+
+		this.setElement(this.container || this.containerSelectorName);
+		if (this.$el.length != 0) {
+			this.$el.css({'position': 'relative', 'width': '100%'});
+			this.$el.empty();
+
+			this._$content = $('<div>').attr('id', _.uniqueId(this.contentClassName)).addClass(this.contentClassName);
+			this._$content.css('position', 'absolute');
+			this._$content.css(this._isHorizontal() ? 'height' : 'width', '100%');
+			this.$el.append(this._$content);
+			this._rebuildEntries();
+			this._columnCount = this._calculateColumnCount();
+			this._rebuildLayout();
+			this._$content.css(this._getSizeProperty(), this._layout.total());
+
+			if (this.useIScroll) {
+				this._scroll = new IScroll(this.el, {
+					scrollX: this._isHorizontal(),
+					scrollY: !this._isHorizontal(),
+					probeType: 2,
+					scrollbars: true,
+					mouseWheel: true,
+					interactiveScrollbars: true,
+					shrinkScrollbars: 'clip',
+					resizeScrollbars: this.resizeScrollbars,
+					// fadeScrollbars: true
+				});
+				// Probe type 2 gives no 'scroll' events during momentum, so final position comes with 'scrollEnd'
+				var onScroll = this._onScroll.bind(this);
+				this._scroll.on('scroll', onScroll);
+				this._scroll.on('scrollEnd', onScroll);
+			} else {
+				// Use default scroll
+				this._scrollHandler = this._onScroll.bind(this);
+				this.$el.on('scroll', this._scrollHandler);
+			}
+
+			if (this.observeChildResize)
+				this._startChildResizeObserving();
+			if (this.minItemWidth)
+				this._startContainerResizeObserving();
+			if (this.selectionMode)
+				this._startSelection();
+			if (this.selectionMode || this.keyboardNavigation)
+				this._startKeyboardListening();
+			this._startAria();
+			if (this._isReorderable())
+				this._startDragListening();
+
+			this._updateClientSize();
+
+			this._initialized = true;
+		}
+	},
+
+	/**
+	 * On collection reset event listener.
+	 * @private
+	 */
+	_onCollectionReset: function() {
+		// Full collection update
+		this._pendingRemovals.length = 0;
+		this._modelIndices = null;
+		this._loadExhausted = {top: false, bottom: false};
+		this._pruneSelection();
+		this._stuckToEnd = true;
+		if (!this._initialized) // this might be called during initialization phase
+			return;
+		this._clear();
+		this._$content.css(this._getSizeProperty(), this._layout.total());
+		this._scrollRefreshRequested = true;
+		this.render();
+	},
+
+	/**
+	 * On collection sort event listener.
+	 * @private
+	 * 
+	 * @param {Backbone.Collection} collection  The collection.
+	 * @param {Object} options                  The sort options.
+	 */
+	_onCollectionSort: function(collection, options) {
+		this._modelIndices = null;
+		if (this._isSparse())
+			return;
+		// Collection.set() triggers 'update' with the same options after sorting,
+		// its changes are already applied by reorder then.
+		this._reorderOptions = options;
+		this.reorder();
+	},
+
+	/**
+	 * On collection remove event listener.
+	 * Stores index of removed model to be processed on 'update' event.
+	 * @private
+	 * 
+	 * @param {Backbone.Model} model            The removed model.
+	 * @param {Backbone.Collection} collection  The collection.
+	 * @param {Object} options                  The options with removed model index.
+	 */
+	_onCollectionRemove: function(model, collection, options) {
+		this._pendingRemovals.push(options.index);
+	},
+
+	/**
+	 * On collection update event listener.
+	 * Shifts indices of all stored data by added and removed models,
+	 * so only affected DOM nodes are touched and scroll position stays stable.
+	 * @private
+	 * 
+	 * @param {Backbone.Collection} collection  The collection.
+	 * @param {Object} options                  The options with changes made.
+	 */
+	_onCollectionUpdate: function(collection, options) {
+		var removals = this._pendingRemovals;
+		var reordered = (options === this._reorderOptions);
+		this._pendingRemovals = new Array();
+		this._reorderOptions = null;
+		this._modelIndices = null;
+		this._loadExhausted = {top: false, bottom: false};
+		if (options.changes.removed.length != 0)
+			this._pruneSelection();
+		// Heights of removed models are not needed anymore
+		options.changes.removed.forEach(function(model) {
+			this._expandedHeights.delete(model.cid);
+		}, this);
+		if (!this._initialized || reordered) // changes have been applied by reorder
+			return;
+		// Removals go first, each index is relative to collection after previous removal.
+		// Additions go next in ascending order of final indices.
+		var operations = new Array();
+		removals.forEach(function(index) {
+			operations.push({index: index, count: -1});
+		});
+		this._getAddedIndices(options.changes.added).forEach(function(index) {
+			operations.push({index: index, count: 1});
+		});
+		if (this._isSparse()) {
+			this._applySparseChanges(options.changes);
+		} else if (this._isGrouped() || this._isProjected()) {
+			// Sections might have been split or merged and models might have been filtered out,
+			// so entries are matched by keys
+			this._remapEntries();
+		} else if (operations.length != 0) {
+			var mapper = this._makeIndexMapper(operations);
+			var anchors = this._captureScrollAnchors();
+			this._remapIndices(mapper);
+			this._rebuildLayout();
+			this._relayoutItems();
+			this._updateContentHeight();
+			this._restoreScrollAnchor(anchors, mapper);
+		}
+		// Added and merged items might have different heights
+		this.addRenderCompleteCallback(this, this._onCollectionUpdateRendered);
+		this._requestFrame();
+	},
+
+	/**
+	 * Render complete callback upon collection update.
+	 * @private
+	 */
+	_onCollectionUpdateRendered: function() {
+		if (!this._isEmptyView)
+			this.updatePositions();
+	},
+
+	/**
+	 * Gets indices of added models in collection.
+	 * @private
+	 * 
+	 * @param {Array} models   The added models.
+	 * @return {Array} Sorted array of indices.
+	 */
+	_getAddedIndices: function(models) {
+		var indices = new Array();
+		if (models.length == 0)
+			return indices;
+		var cids = new Set();
+		models.forEach(function(model) {
+			cids.add(model.cid);
+		});
+		for (var i = 0; i < this.collection.length && indices.length < cids.size; ++i) {
+			if (cids.has(this.collection.at(i).cid))
+				indices.push(i);
+		}
+		return indices;
+	},
+
+	/**
+	 * Makes function that maps old item index to the new one.
+	 * @private
+	 * 
+	 * @param {Array} operations   The sequence of {index, count} insert (count = 1)
+	 *                             and remove (count = -1) operations.
+	 * @return {Function} The mapper. Returns null for removed indices.
+	 */
+	_makeIndexMapper: function(operations) {
+		return function(index) {
+			for (var i = 0; i < operations.length; ++i) {
+				var operation = operations[i];
+				if (operation.count < 0) {
+					if (index == operation.index)
+						return null;
+					if (index > operation.index)
+						--index;
+				} else if (index >= operation.index) {
+					++index;
+				}
+			}
+			return index;
+		};
+	},
+
+	/**
+	 * Remaps indices of all rendered views, positions, heights and cache.
+	 * Views with removed indices are destroyed.
+	 * @private
+	 * 
+	 * @param {Function} mapper   The index mapper. Signature is function(index).
+	 */
+	_remapIndices: function(mapper) {
+		var views = new Map();
+		this._views.forEach(function(view, index, map) {
+			var newIndex = mapper(index);
+			if (newIndex === null)
+				this._removeChildView(view);
+			else
+				views.set(newIndex, view);
+		}, this);
+		this._views = views;
+		if (this._stickyHeaderIndex !== null)
+			this._stickyHeaderIndex = mapper(this._stickyHeaderIndex);
+		this._positionsMap = this._remapKeys(this._positionsMap, mapper);
+		this._heightsMap = this._remapKeys(this._heightsMap, mapper);
+		this._indicesCache.remap(mapper);
+		this._ariaState = null;
+	},
+
+	/**
+	 * Makes new map with remapped keys.
+	 * @private
+	 * 
+	 * @param {Map} map           The (index, value) map.
+	 * @param {Function} mapper   The index mapper. Signature is function(index).
+	 * @return {Map} The new map without removed keys.
+	 */
+	_remapKeys: function(map, mapper) {
+		var result = new Map();
+		map.forEach(function(value, key, map) {
+			var newKey = mapper(key);
+			if (newKey !== null)
+				result.set(newKey, value);
+		}, this);
+		return result;
+	},
+
+	/**
+	 * Recalculates positions of all rendered items.
+	 * @private
+	 */
+	_relayoutItems: function() {
+		var isGrid = this._isGrid();
+		this._views.forEach(function(view, index, map) {
+			// Item might have moved to another column without position change
+			if (isGrid || this._positionsMap.get(index) !== this._obtainItemPosition(index))
+				this._placeItem(view, index);
+		}, this);
+	},
+
+	/**
+	 * Sets item element position by its index.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 * @param {Number} index         The item index.
+	 */
+	_placeItem: function(view, index) {
+		var position = this._obtainItemPosition(index);
+		var css = {};
+		css[this._getPositionProperty()] = position;
+		if (this._isGrid()) {
+			var columnSize = 100 / this._columnCount;
+			var horizontal = this._isHorizontal();
+			css[horizontal ? 'top' : 'left'] = (index % this._columnCount) * columnSize + '%';
+			css[horizontal ? 'height' : 'width'] = columnSize + '%';
+		}
+		view.$el.css(css);
+		this._positionsMap.set(index, position);
+	},
+
+	/**
+	 * Captures rendered items intersecting with top edge of viewport or below it.
+	 * @private
+	 * 
+	 * @return {Array} Array of {index, offset} sorted by index.
+	 */
+	_captureScrollAnchors: function() {
+		var scrollPosition = this._getScrollPosition();
+		var anchors = new Array();
+		this._positionsMap.forEach(function(position, index, map) {
+			if (position + this._heightsMap.get(index) > scrollPosition) {
+				anchors.push({
+					index: index,
+					offset: position - scrollPosition,
+				});
+			}
+		}, this);
+		return anchors.sort(function(a, b) {
+			return a.index - b.index;
+		});
+	},
+
+	/**
+	 * Restores scroll position so the first survived anchor stays at the same place.
+	 * @private
+	 * 
+	 * @param {Array} anchors     The anchors from {@link _captureScrollAnchors}.
+	 * @param {Function} mapper   The index mapper. Signature is function(index).
+	 */
+	_restoreScrollAnchor: function(anchors, mapper) {
+		for (var i = 0; i < anchors.length; ++i) {
+			var index = mapper(anchors[i].index);
+			if (index === null)
+				continue;
+			this._correctScrollAnchor(index, anchors[i].offset);
+			return;
+		}
+	},
+
+	/**
+	 * Starts child views resize detection.
+	 * @private
+	 */
+	_startChildResizeObserving: function() {
+		if (window.ResizeObserver) {
+			this._resizeObserver = new ResizeObserver(this._onChildResize.bind(this));
+		} else {
+			// Fallback to polling
+			this._resizePollTimer = setInterval(this._onChildResize.bind(this), this.childResizePollInterval);
+		}
+	},
+
+	/**
+	 * On child view resize listener.
+	 * Measuring is deferred to the next animation frame to batch all changes.
+	 * @private
+	 */
+	_onChildResize: function() {
+		if (this._views.size == 0)
+			return;
+		this._childResizeRequested = true;
+		this._requestFrame();
+	},
+
+	/**
+	 * Measures all rendered items and stores changed heights.
+	 * @private
+	 * 
+	 * @return {Boolean} True if any height has changed and false otherwise.
+	 */
+	_measureItems: function() {
+		var changed = false;
+		this._views.forEach(function(view, index, map) {
+			var height = this._getElementHeightWithOffset(view.$el);
+			if (height != this._heightsMap.get(index)) {
+				this._heightsMap.set(index, height);
+				this._storeExpandedHeight(index, height);
+				changed = true;
+			}
+		}, this);
+		return changed;
+	},
+
+	/**
+	 * Starts container resize detection to recompute number of columns.
+	 * @private
+	 */
+	_startContainerResizeObserving: function() {
+		if (window.ResizeObserver) {
+			this._containerResizeObserver = new ResizeObserver(this._requestFrame.bind(this));
+			this._containerResizeObserver.observe(this.el);
 		} else {
-			$(this.containerSelectorName).animate({
-				scrollTop: position,
-			}, 400, 'swing', callback);
+			this._onWindowResize = this._requestFrame.bind(this);
+			$(window).on('resize', this._onWindowResize);
+		}
+	},
+
+	/**
+	 * Starts listening to clicks on child views.
+	 * @private
+	 */
+	_startSelection: function() {
+		this._$content.on('click', this._onItemClick.bind(this));
+	},
+
+	/**
+	 * Starts listening to keyboard. Container gets focusable for keyboard.
+	 * @private
+	 */
+	_startKeyboardListening: function() {
+		if (this.keyboardNavigation) {
+			this._focusInHandler = this._onFocusIn.bind(this);
+			this._focusOutHandler = this._onFocusOut.bind(this);
+			this.$el.on('focusin', this._focusInHandler).on('focusout', this._focusOutHandler);
+			this._updateTabStop();
+		} else if (this.$el.attr('tabindex') === undefined) {
+			this.$el.attr('tabindex', 0);
+		}
+		this._keyDownHandler = this._onKeyDown.bind(this);
+		this.$el.on('keydown', this._keyDownHandler);
+	},
+
+	/**
+	 * Gets ARIA role of container.
+	 * @private
+	 * 
+	 * @return {String} The role or false if ARIA attributes are disabled.
+	 */
+	_getAriaRole: function() {
+		if (this.ariaRole !== null)
+			return this.ariaRole;
+		return (this.selectionMode || this.keyboardNavigation) ? 'listbox' : 'list';
+	},
+
+	/**
+	 * Sets ARIA attributes of container.
+	 * @private
+	 */
+	_startAria: function() {
+		var role = this._getAriaRole();
+		if (!role)
+			return;
+		this.$el.attr('role', role);
+		if (this.selectionMode == 'multiple')
+			this.$el.attr('aria-multiselectable', true);
+		if (role == 'listbox' && this._isHorizontal())
+			this.$el.attr('aria-orientation', 'horizontal');
+	},
+
+	/**
+	 * Updates ARIA attributes of rendered items when number of items or indices have changed.
+	 * @private
+	 */
+	_updateAria: function() {
+		var role = this._getAriaRole();
+		if (!role)
+			return;
+		var count = this._getModelCount();
+		if (count === this._ariaState)
+			return;
+		this._ariaState = count;
+		this._views.forEach(function(view, index, map) {
+			this._applyAriaAttributes(view, index);
+		}, this);
+	},
+
+	/**
+	 * Sets ARIA role and position attributes of item view.
+	 * Items have aria-setsize and aria-posinset. Group headers are skipped.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child or placeholder view.
+	 * @param {Number} index         The entry index.
+	 */
+	_applyAriaAttributes: function(view, index) {
+		var role = this._getAriaRole();
+		var modelIndex = this._getModelIndex(index);
+		if (!role || modelIndex < 0)
+			return;
+		view.$el.attr({
+			'role': (role == 'listbox') ? 'option' : 'listitem',
+			'aria-setsize': this._getModelCount(),
+			'aria-posinset': modelIndex + 1,
+		});
+	},
+
+	/**
+	 * Checks if items can be reordered by dragging.
+	 * @private
+	 * 
+	 * @return {Boolean} True if reordering is on and false otherwise.
+	 */
+	_isReorderable: function() {
+		return this.reorderable && !this._isGrid();
+	},
+
+	/**
+	 * Starts listening to pointer on child views for dragging.
+	 * @private
+	 */
+	_startDragListening: function() {
+		if (this.dragContext)
+			this.dragContext.add(this);
+		this._$content.on('pointerdown', this._onDragPointerDown.bind(this));
+	},
+
+	/**
+	 * Finds child view by element of its drag handle.
+	 * @private
+	 * 
+	 * @param {Element} element   The element.
+	 * @return {Backbone.View} The child view or null if element is not in drag handle.
+	 */
+	_findDragHandleView: function(element) {
+		var view = this._findViewByElement(element);
+		if (view && this.dragHandleSelector && $(element).closest(this.dragHandleSelector, view.$el[0]).length == 0)
+			return null;
+		return view;
+	},
+
+	/**
+	 * On child view pointer down listener.
+	 * Dragging starts when pointer moves farther than dragStartDistance.
+	 * @private
+	 * 
+	 * @param {Event} event   The pointerdown event.
+	 */
+	_onDragPointerDown: function(event) {
+		var pointer = event.originalEvent || event; // jQuery does not copy pointer event properties
+		if (pointer.button > 0 || this._dragStart || this._drag)
+			return;
+		var view = this._findDragHandleView(event.target);
+		if (!view)
+			return;
+		this._dragStart = {view: view, x: pointer.clientX, y: pointer.clientY};
+		this._dragHandlers = {
+			pointermove: this._onDragPointerMove.bind(this),
+			pointerup: this._onDragPointerUp.bind(this),
+			pointercancel: this._cancelDrag.bind(this),
+			keydown: this._onDragKeyDown.bind(this),
+			selectstart: this._onDragSelectStart.bind(this),
+		};
+		$(document).on(this._dragHandlers);
+	},
+
+	/**
+	 * On document pointer move listener.
+	 * @private
+	 * 
+	 * @param {Event} event   The pointermove event.
+	 */
+	_onDragPointerMove: function(event) {
+		var pointer = event.originalEvent || event;
+		if (!this._drag) {
+			var start = this._dragStart;
+			var distance = Math.max(Math.abs(pointer.clientX - start.x), Math.abs(pointer.clientY - start.y));
+			if (distance < this.dragStartDistance)
+				return;
+			if (!this._startDrag(start.view, start.x, start.y)) {
+				this._stopDragListening();
+				return;
+			}
+		}
+		this._drag.clientX = pointer.clientX;
+		this._drag.clientY = pointer.clientY;
+		this._moveDrag();
+	},
+
+	/**
+	 * On document pointer up listener. Drops dragged item.
+	 * @private
+	 */
+	_onDragPointerUp: function() {
+		this._stopDragListening();
+		if (this._drag)
+			this._finishDrag(true);
+	},
+
+	/**
+	 * On document key down listener. Escape cancels dragging.
+	 * @private
+	 * 
+	 * @param {Event} event   The keydown event.
+	 */
+	_onDragKeyDown: function(event) {
+		if (event.key == 'Escape' && this._drag) {
+			event.preventDefault();
+			this._cancelDrag();
+		}
+	},
+
+	/**
+	 * On document select start listener. Prevents text selection while dragging.
+	 * @private
+	 * 
+	 * @param {Event} event   The selectstart event.
+	 */
+	_onDragSelectStart: function(event) {
+		if (this._drag)
+			event.preventDefault();
+	},
+
+	/**
+	 * Stops listening to document events of dragging.
+	 * @private
+	 */
+	_stopDragListening: function() {
+		if (this._dragHandlers)
+			$(document).off(this._dragHandlers);
+		this._dragHandlers = null;
+		this._dragStart = null;
+	},
+
+	/**
+	 * Cancels dragging without dropping.
+	 * @private
+	 */
+	_cancelDrag: function() {
+		this._stopDragListening();
+		if (this._drag)
+			this._finishDrag(false);
+	},
+
+	/**
+	 * Starts dragging of child view. Element copy follows pointer while item is lifted out of layout.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 * @param {Number} x             The pointer X coordinate in viewport.
+	 * @param {Number} y             The pointer Y coordinate in viewport.
+	 * @return {Boolean} True if dragging has started and false otherwise.
+	 */
+	_startDrag: function(view, x, y) {
+		var index = this.getIndexByModel(view.model);
+		if (index === null)
+			return false;
+		var entryIndex = this._getEntryIndex(index);
+		var rect = view.$el[0].getBoundingClientRect();
+		var $ghost = view.$el.clone().removeAttr('id').attr('aria-hidden', true);
+		$ghost.addClass(this.dragClassName).css({
+			'position': 'fixed',
+			'left': rect.left,
+			'top': rect.top,
+			'width': rect.width,
+			'height': rect.height,
+			'margin': 0,
+			'pointer-events': 'none',
+			'z-index': 1000,
+		});
+		$(document.body).append($ghost);
+		view.$el.css('visibility', 'hidden');
+		this._drag = {
+			model: view.model,
+			sourceIndex: entryIndex, // entry index, null if model is not shown anymore
+			size: this._heightsMap.get(entryIndex),
+			width: rect.width,
+			height: rect.height,
+			offsetX: x - rect.left, // pointer offset in element
+			offsetY: y - rect.top,
+			clientX: x,
+			clientY: y,
+			$ghost: $ghost,
+			target: null, // collection view to drop item to
+		};
+		this._updateRowHeight(this._getRowIndex(entryIndex));
+		// Pointer should not scroll the list while dragging. iScroll starts scrolling 10px away, so it has not moved yet.
+		if (this._scroll)
+			this._scroll.disable();
+		return true;
+	},
+
+	/**
+	 * Moves dragged element copy to pointer and updates drop target.
+	 * @private
+	 */
+	_moveDrag: function() {
+		var drag = this._drag;
+		drag.$ghost.css({
+			'left': drag.clientX - drag.offsetX,
+			'top': drag.clientY - drag.offsetY,
+		});
+		var target = this._findDropTarget(drag);
+		if (target !== drag.target) {
+			if (drag.target && !drag.target.isDestroyed())
+				drag.target._endDrop();
+			drag.target = target;
+		}
+		target._updateDrop(drag);
+	},
+
+	/**
+	 * Finds collection view to drop item to. It is the view under pointer in drag context.
+	 * The last target stays while pointer is outside of all views.
+	 * @private
+	 * 
+	 * @param {Object} drag   The drag state.
+	 * @return {BigCollectionView} The target view.
+	 */
+	_findDropTarget: function(drag) {
+		var target = drag.target;
+		if (this.dragContext) {
+			var view = this.dragContext.findView(drag.clientX, drag.clientY);
+			if (view)
+				target = view;
+		}
+		if (!target || target.isDestroyed())
+			target = this;
+		return target;
+	},
+
+	/**
+	 * Finishes dragging. Triggers 'reorder:drop' event with collection view and
+	 * {model, from, to, cancel} object on drop, where indices are model indices before and after move.
+	 * Model is moved in collection if moveOnDrop is true, collection has no comparator
+	 * and handler has not set cancel to true.
+	 * Item dropped to another view is transferred, see {@link _transfer}.
+	 * @private
+	 * 
+	 * @param {Boolean} drop   Whether drop item at placeholder or cancel dragging.
+	 */
+	_finishDrag: function(drop) {
+		var drag = this._drag;
+		var targetView = (drag.target && !drag.target.isDestroyed()) ? drag.target : this;
+		var target = targetView._drop ? targetView._drop.target : null;
+		this._drag = null;
+		drag.$ghost.remove();
+		if (this._scroll)
+			this._scroll.enable();
+		var view = this.findViewByModel(drag.model);
+		if (view)
+			view.$el.css('visibility', '');
+		if (drag.sourceIndex !== null)
+			this._updateRowHeight(this._getRowIndex(drag.sourceIndex));
+		this._endDrop();
+		targetView._endDrop();
+		// Click that finishes dragging should not select item
+		this._clickSuppressed = true;
+		setTimeout(function() {
+			this._clickSuppressed = false;
+		}.bind(this), 0);
+		if (!drop || target === null || drag.sourceIndex === null)
+			return;
+		var from = this._getModelIndex(drag.sourceIndex);
+		if (targetView !== this) {
+			this._transfer(targetView, drag.model, from, target);
+			return;
+		}
+		var info = {
+			model: drag.model,
+			from: from,
+			to: (target > from) ? target - 1 : target,
+			cancel: false,
+		};
+		this.triggerMethod('reorder:drop', this, info);
+		if (info.cancel || !this.moveOnDrop || info.from == info.to || this._isSparse() || this._isProjected() ||
+			this.collection.comparator)
+			return;
+		this._moveModel(this.collection, info.model, info.to);
+	},
+
+	/**
+	 * Moves model to new index in collection and triggers 'sort' event,
+	 * so views reorder items keeping their state (selection, active item, heights).
+	 * @private
+	 * 
+	 * @param {Backbone.Collection} collection   The collection.
+	 * @param {Backbone.Model} model             The model.
+	 * @param {Number} to                        The new model index.
+	 */
+	_moveModel: function(collection, model, to) {
+		var models = collection.models;
+		var from = models.indexOf(model);
+		if (from < 0 || from == to)
+			return;
+		models.splice(from, 1);
+		models.splice(to, 0, model);
+		collection.trigger('sort', collection, {});
+	},
+
+	/**
+	 * Transfers model dropped to another collection view.
+	 * Triggers 'before:transfer' event on source view and then on target view
+	 * with collection view and {model, source, target, from, to, cancel} object,
+	 * where indices are model indices in source and target views. Any handler can set cancel to true.
+	 * Then model is moved to target collection if moveOnDrop of target view is true,
+	 * target collection has no comparator and neither view is sparse, filtered or sorted by view.
+	 * Finally 'transfer' event is triggered on both views with the same object.
+	 * @private
+	 * 
+	 * @param {BigCollectionView} targetView   The target view.
+	 * @param {Backbone.Model} model           The dropped model.
+	 * @param {Number} from                    The model index in this view.
+	 * @param {Number} to                      The model index in target view to insert before.
+	 */
+	_transfer: function(targetView, model, from, to) {
+		var sameCollection = (targetView.collection === this.collection);
+		var info = {
+			model: model,
+			source: this,
+			target: targetView,
+			from: from,
+			to: (sameCollection && to > from) ? to - 1 : to,
+			cancel: false,
+		};
+		this.triggerMethod('before:transfer', this, info);
+		if (!info.cancel)
+			targetView.triggerMethod('before:transfer', targetView, info);
+		if (info.cancel)
+			return;
+		if (targetView.moveOnDrop && !targetView.collection.comparator && !this._isSparse() && !this._isProjected() &&
+			!targetView._isSparse() && !targetView._isProjected()) {
+			if (sameCollection) {
+				this._moveModel(this.collection, model, info.to);
+			} else {
+				this.collection.remove(model);
+				targetView.collection.add(model, {at: info.to});
+			}
+		}
+		this.triggerMethod('transfer', this, info);
+		targetView.triggerMethod('transfer', targetView, info);
+	},
+
+	/**
+	 * Updates drop placeholder and scrolls list if dragged item is close to viewport edge.
+	 * @private
+	 * 
+	 * @param {Object} drag   The drag state.
+	 */
+	_updateDrop: function(drag) {
+		var rect = this.el.getBoundingClientRect();
+		var horizontal = this._isHorizontal();
+		var pointer = horizontal ? (drag.clientX - rect.left) : (drag.clientY - rect.top);
+		// Placeholder follows center of dragged element
+		var center = pointer + (horizontal ? (drag.width / 2 - drag.offsetX) : (drag.height / 2 - drag.offsetY));
+		if (!this._drop) {
+			var css = {'position': 'absolute'};
+			css[horizontal ? 'height' : 'width'] = '100%';
+			this._drop = {
+				drag: drag,
+				target: null, // model index to insert before
+				gapIndex: null, // entry index of row containing placeholder
+				gapAfter: false, // whether placeholder is after the last entry
+				size: drag.size,
+				pointer: 0,
+				frame: null,
+				$placeholder: $('<div>').addClass(this.dropPlaceholderClassName).css(css),
+			};
+			this._$content.append(this._drop.$placeholder);
+			// Placeholder starts in place of dragged item
+			if (drag === this._drag)
+				this._setDropTarget(this._getModelIndex(drag.sourceIndex));
+		}
+		this._drop.drag = drag;
+		this._drop.pointer = pointer;
+		this._setDropTarget(this._getDropIndex(this._getScrollPosition() + center));
+		if (this._drop.frame === null)
+			this._drop.frame = window.requestAnimationFrame(this._scrollDrop.bind(this));
+	},
+
+	/**
+	 * Gets model index to insert dropped item before.
+	 * @private
+	 * 
+	 * @param {Number} position   The position of dragged item center in content.
+	 * @return {Number} The model index in range [0, N].
+	 */
+	_getDropIndex: function(position) {
+		var count = this._getEntryCount();
+		if (count == 0)
+			return 0;
+		var index = Math.min(this._obtainItemIndex(position), count - 1);
+		var row = this._getRowIndex(index);
+		var after = (position >= this._layout.prefixSum(row) + this._layout.get(row) / 2);
+		var modelIndex = this._getModelIndex(index);
+		if (modelIndex < 0) // group header
+			return this._getModelIndex(index + 1);
+		return after ? modelIndex + 1 : modelIndex;
+	},
+
+	/**
+	 * Moves drop placeholder. Placeholder takes the beginning of row of item at target index.
+	 * @private
+	 * 
+	 * @param {Number} target   The model index to insert before.
+	 */
+	_setDropTarget: function(target) {
+		var drop = this._drop;
+		if (target === drop.target)
+			return;
+		var previous = drop.gapIndex;
+		var count = this._getModelCount();
+		drop.target = target;
+		drop.gapAfter = (target >= count);
+		if (count == 0)
+			drop.gapIndex = null;
+		else
+			drop.gapIndex = drop.gapAfter ? this._getEntryCount() - 1 : this._getEntryIndex(target);
+		if (previous !== null)
+			this._updateRowHeight(this._getRowIndex(previous));
+		if (drop.gapIndex !== null)
+			this._updateRowHeight(this._getRowIndex(drop.gapIndex));
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._placeDropPlaceholder();
+		this._requestFrame();
+	},
+
+	/**
+	 * Sets drop placeholder element position.
+	 * @private
+	 */
+	_placeDropPlaceholder: function() {
+		var drop = this._drop;
+		var position = 0;
+		if (drop.gapIndex !== null) {
+			var row = this._getRowIndex(drop.gapIndex);
+			position = this._layout.prefixSum(row);
+			if (drop.gapAfter)
+				position += this._layout.get(row) - drop.size;
+		}
+		var css = {};
+		css[this._getPositionProperty()] = position;
+		css[this._getSizeProperty()] = Math.max(drop.size - this.elementsOffset, 0);
+		drop.$placeholder.css(css);
+	},
+
+	/**
+	 * Removes drop placeholder.
+	 * @private
+	 */
+	_endDrop: function() {
+		var drop = this._drop;
+		if (!drop)
+			return;
+		this._drop = null;
+		if (drop.frame !== null)
+			window.cancelAnimationFrame(drop.frame);
+		drop.$placeholder.remove();
+		if (drop.gapIndex !== null && drop.gapIndex < this._getEntryCount())
+			this._updateRowHeight(this._getRowIndex(drop.gapIndex));
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._requestFrame();
+	},
+
+	/**
+	 * Scrolls list while dragged item is close to viewport edge. Called every animation frame.
+	 * Speed grows as pointer gets closer to the edge.
+	 * @private
+	 */
+	_scrollDrop: function() {
+		var drop = this._drop;
+		if (!drop)
+			return;
+		drop.frame = null;
+		var zone = this.dragScrollZone;
+		var clientSize = this._getClientSize();
+		var delta = 0;
+		if (drop.pointer < zone)
+			delta = -this.dragScrollSpeed * Math.min((zone - drop.pointer) / zone, 1);
+		else if (drop.pointer > clientSize - zone)
+			delta = this.dragScrollSpeed * Math.min((drop.pointer - clientSize + zone) / zone, 1);
+		if (delta == 0)
+			return;
+		var scrollPosition = this._getScrollPosition();
+		var position = Math.max(0, Math.min(scrollPosition + delta, this._layout.total() - clientSize));
+		if (position == scrollPosition)
+			return;
+		this._setScrollPosition(position);
+		this._updateDrop(drop.drag);
+	},
+
+	/**
+	 * Applies dragging to layout after it has been rebuilt.
+	 * Indices of dragged item and drop target might have changed.
+	 * @private
+	 */
+	_applyDragLayout: function() {
+		var drag = this._drag;
+		if (drag) {
+			var index = this.getIndexByModel(drag.model);
+			drag.sourceIndex = (index === null) ? null : this._getEntryIndex(index);
+			if (drag.sourceIndex !== null)
+				this._updateRowHeight(this._getRowIndex(drag.sourceIndex));
+		}
+		var drop = this._drop;
+		if (drop && drop.target !== null) {
+			var target = Math.min(drop.target, this._getModelCount());
+			drop.target = drop.gapIndex = null;
+			this._setDropTarget(target);
+		}
+	},
+
+	/**
+	 * Checks if items are laid out in grid.
+	 * @private
+	 * 
+	 * @return {Boolean} True if grid mode is on and false otherwise.
+	 */
+	_isGrid: function() {
+		return !this._isGrouped() && !!(this.columnCount || this.minItemWidth);
+	},
+
+	/**
+	 * Calculates number of columns.
+	 * @private
+	 * 
+	 * @return {Number} The number of columns.
+	 */
+	_calculateColumnCount: function() {
+		if (!this._isGrid())
+			return 1;
+		if (this.columnCount)
+			return this.columnCount;
+		if (this.minItemWidth) {
+			var size = this._isHorizontal() ? this.el.clientHeight : this.el.clientWidth;
+			return Math.max(Math.floor(size / this.minItemWidth), 1);
 		}
+		return 1;
 	},
 
 	/**
-	 * Fix for scrolling to the last items.
+	 * Updates number of columns and relayouts items if it has changed.
+	 * @private
+	 */
+	_updateColumnCount: function() {
+		var columnCount = this._calculateColumnCount();
+		if (columnCount == this._columnCount)
+			return;
+		// Keep the first item at the top edge of viewport in place
+		var scrollPosition = this._getScrollPosition();
+		var anchorIndex = this._obtainItemIndex(scrollPosition);
+		var anchorOffset = this._obtainItemPosition(anchorIndex) - scrollPosition;
+		this._columnCount = columnCount;
+		this._indicesCache.setCapacity(this._getOptimalCacheCapacity());
+		this._rebuildLayout();
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._correctScrollAnchor(anchorIndex, anchorOffset);
+		// Items heights depend on their width
+		this._childResizeRequested = true;
+	},
+
+	/**
+	 * Checks if list is grouped.
+	 * @private
 	 * 
-	 * @param {Number} scrollTop  The scroll position.
-	 * @return {Number} The fixed scroll position.
+	 * @return {Boolean} True if grouping is on and false otherwise.
+	 */
+	_isGrouped: function() {
+		return !this._isSparse() && !!(this.groupBy && this.headerView);
+	},
+
+	/**
+	 * Rebuilds groups from collection. Each group is a section of
+	 * models with the same key going in a row, preceded by header entry.
+	 * Complexity: O(N), where N is collection length.
 	 * @private
 	 */
-	_fixScrollPosition: function(scrollTop) {
-		if (this.useIScroll) {
-			if (scrollTop > Math.abs(this._scroll.maxScrollY))
-				scrollTop = Math.abs(this._scroll.maxScrollY);
-		} else {
-			var clientHeight = this.$el[0].clientHeight;
-			var scrollHeight = this.$el[0].scrollHeight;
-			if (scrollTop > scrollHeight - clientHeight)
-				scrollTop = Math.max(scrollHeight - clientHeight, 0);
+	_rebuildGroups: function() {
+		this._groups = new Array();
+		if (!this._isGrouped())
+			return;
+		var occurrences = new Map(); // keys might repeat in unsorted collection
+		var group = null;
+		for (var i = 0; i < this._getModelCount(); ++i) {
+			var key = this.groupBy(this._getModelAt(i));
+			if (group === null || key !== group.key) {
+				var occurrence = occurrences.get(key) || 0;
+				occurrences.set(key, occurrence + 1);
+				group = {
+					key: key,
+					entryKey: 'header:' + key + ':' + occurrence,
+					start: i + this._groups.length, // header entry index
+					modelStart: i,
+					count: 0,
+				};
+				this._groups.push(group);
+			}
+			++group.count;
 		}
-		return scrollTop;
 	},
 
 	/**
-	 * Makes item fully visible by model's ID.
+	 * Gets number of entries. Entries are items and group headers.
+	 * @private
 	 * 
-	 * @param {String} id  The model's ID.
+	 * @return {Number} The number of entries.
 	 */
-	makeItemFullyVisibleById: function(id) {
-		// We need to find model's index in collection by its ID.
-		var index = this.getIndexById(id);
-		this.makeItemFullyVisibleByIndex(index);
+	_getEntryCount: function() {
+		if (this._isSparse())
+			return this.totalLength;
+		return this._getModelCount() + this._groups.length;
 	},
 
 	/**
-	 * Makes item fully visible by index.
+	 * Gets number of shown models. In sparse mode it is total length including not loaded models.
+	 * @private
 	 * 
-	 * @param {Number} index  The index of item.
+	 * @return {Number} The number of models.
 	 */
-	makeItemFullyVisibleByIndex: function(index) {
-		this._addFunctionRequest('_makeItemFullyVisible', index);
+	_getModelCount: function() {
+		if (this._isSparse())
+			return this.totalLength;
+		if (this._models)
+			return this._models.length;
+		return this.collection.length;
 	},
 
 	/**
-	 * Checks if item is fully visible.
+	 * Checks if shown models are filtered or sorted differently from collection.
+	 * @private
 	 * 
-	 * @param {Number} index  The item's index.
-	 * @return {Boolean} True if success and false otherwise.
+	 * @return {Boolean} True if filter or comparator is set and false otherwise.
+	 */
+	_isProjected: function() {
+		return !this._isSparse() && !!(this.filter || this.viewComparator);
+	},
+
+	/**
+	 * Rebuilds shown models, groups and sparse models map from collection.
 	 * @private
 	 */
-	_isItemFullyVisible: function(index) {
-		if (this._positionsMap.has(index)) {
-			var clientHeight = this.$el[0].clientHeight;
-			var scrollTop;
-			if (this.useIScroll) {
-				scrollTop = Math.abs(this._scroll.y);
-			} else {
-				scrollTop = this.$el[0].scrollTop;
-			}
-			var min = scrollTop;
-			var max = scrollTop + clientHeight;
-			var posMin = this._positionsMap.get(index);
-			var height = this._heightsMap.get(index);
-			var posMax = posMin + height;
-			return min <= posMin && posMin <= max &&
-				min <= posMax && posMax <= max;
+	_rebuildEntries: function() {
+		this._modelIndices = null;
+		this._rebuildProjection();
+		this._rebuildGroups();
+		this._rebuildSparseModels();
+	},
+
+	/**
+	 * Rebuilds array of shown models by filter and comparator.
+	 * Complexity: O(N log N), where N is collection length.
+	 * @private
+	 */
+	_rebuildProjection: function() {
+		this._models = null;
+		if (!this._isProjected())
+			return;
+		var models = this.collection.models;
+		if (this.filter) {
+			models = models.filter(function(model, index) {
+				return this.filter(model, index, this.collection);
+			}, this);
 		} else {
-			return false;
+			models = models.slice();
 		}
+		if (this.viewComparator)
+			models = this._sortModels(models);
+		this._models = models;
 	},
 
 	/**
-	 * Makes item fully visible.
-	 * 
-	 * @param {Number} index  The index of item.
+	 * Sorts models by view comparator.
 	 * @private
+	 * 
+	 * @param {Array} models   The models.
+	 * @return {Array} The sorted models.
 	 */
-	_makeItemFullyVisible: function(index) {
-		if (index === null)
-			return;
-		if (!this._isItemFullyVisible(index))
-			this._scrollToElementByIndex(index);
+	_sortModels: function(models) {
+		var comparator = this.viewComparator;
+		if (_.isString(comparator)) {
+			var attribute = comparator;
+			comparator = function(model) {
+				return model.get(attribute);
+			};
+		}
+		if (comparator.length == 1)
+			return _.sortBy(models, comparator, this);
+		return models.sort(comparator.bind(this));
 	},
 
 	/**
-	 * Adds callback on render completion.
+	 * Gets index of group containing entry.
+	 * Complexity: O(log G), where G is number of groups.
+	 * @private
 	 * 
-	 * @param {Object} context      The context.
-	 * @param {Function} callback   The callback. Signature is function().
+	 * @param {Number} index   The entry index.
+	 * @return {Number} The group index.
 	 */
-	addRenderCompleteCallback: function(context, callback) {
-		this._renderCallbackQueue.push({
-			context: context,
-			callback: callback,
-		});
+	_getGroupIndex: function(index) {
+		return this._findGroupIndex('start', index);
 	},
 
 	/**
-	 * Fires all callbacks on render completion.
+	 * Finds index of the last group with property value not greater than the given one.
 	 * @private
+	 * 
+	 * @param {String} property   The group property: 'start' or 'modelStart'.
+	 * @param {Number} value      The value.
+	 * @return {Number} The group index.
 	 */
-	_fireRenderCompleteCallbacks: function() {
-		if (this._renderCallbackQueue.length > 0) {
-			// Callback queue might be modified during callback call, thus we store the size.
-			var i,n;
-			n = this._renderCallbackQueue.length;
-			for (i = 0; i < n; ++i) {
-				var data = this._renderCallbackQueue[i];
-				data.callback.call(data.context);
-			}
-			// Remove processed items from queue
-			this._renderCallbackQueue.splice(0, n);
+	_findGroupIndex: function(property, value) {
+		var low = 0;
+		var high = this._groups.length - 1;
+		while (low < high) {
+			var middle = Math.ceil((low + high) / 2);
+			if (this._groups[middle][property] <= value)
+				low = middle;
+			else
+				high = middle - 1;
 		}
+		return low;
 	},
 
 	/**
-	 * Places render-dependent function call to queue.
-	 * So this function guarantees that next request is served only after render is complete.
+	 * Converts model index in collection to entry index.
 	 * @private
+	 * 
+	 * @param {Number} modelIndex   The model index.
+	 * @return {Number} The entry index.
 	 */
-	_addFunctionRequest: function() {
-		const args = Array.from(arguments);
-		this._functionsQueue.push(args);
-		this._processFunctionRequest();
+	_getEntryIndex: function(modelIndex) {
+		if (this._groups.length == 0)
+			return modelIndex;
+		return modelIndex + this._findGroupIndex('modelStart', modelIndex) + 1;
 	},
 
 	/**
-	 * Processes first function request in the queue.
+	 * Converts entry index to model index in collection.
 	 * @private
+	 * 
+	 * @param {Number} index   The entry index.
+	 * @return {Number} The model index or -1 for group header.
 	 */
-	_processFunctionRequest: function() {
-		if (!this._isFunctionActive && this._functionsQueue.length > 0) {
-			this._isFunctionActive = true;
-			// Process the request
-			var request = this._functionsQueue.shift();
-			var args = request.splice(1);
-			this[request].apply(this, args);
-			// Request frame
-			this.addRenderCompleteCallback(this, this._onFunctionRequestFinished);
-			this._requestFrame();
+	_getModelIndex: function(index) {
+		if (this._groups.length == 0)
+			return index;
+		var groupIndex = this._getGroupIndex(index);
+		if (index == this._groups[groupIndex].start)
+			return -1;
+		return index - groupIndex - 1;
+	},
+
+	/**
+	 * Gets entry key. Key is model cid for items and unique group key for headers.
+	 * @private
+	 * 
+	 * @param {Number} index   The entry index.
+	 * @return {String} The entry key.
+	 */
+	_getEntryKey: function(index) {
+		var modelIndex = this._getModelIndex(index);
+		if (modelIndex < 0)
+			return this._groups[this._getGroupIndex(index)].entryKey;
+		var model = this._getModelAt(modelIndex);
+		return model ? model.cid : 'placeholder:' + modelIndex;
+	},
+
+	/**
+	 * Gets model by its index.
+	 * @private
+	 * 
+	 * @param {Number} modelIndex   The model index.
+	 * @return {Backbone.Model} The model or null if it is not loaded yet.
+	 */
+	_getModelAt: function(modelIndex) {
+		if (this._isSparse())
+			return this._sparseModels.get(modelIndex) || null;
+		if (this._models)
+			return this._models[modelIndex];
+		return this.collection.at(modelIndex);
+	},
+
+	/**
+	 * Gets model index.
+	 * @private
+	 * 
+	 * @param {Backbone.Model} model   The model.
+	 * @return {Number} The model index or -1 if model is not shown.
+	 */
+	_getModelIndexOf: function(model) {
+		if (this._isSparse())
+			return model.get(this.indexAttribute);
+		if (this._modelIndices === null) {
+			this._modelIndices = new Map();
+			for (var i = 0; i < this._getModelCount(); ++i)
+				this._modelIndices.set(this._getModelAt(i).cid, i);
 		}
+		var index = this._modelIndices.get(model.cid);
+		return (index === undefined) ? -1 : index;
 	},
 
 	/**
-	 * Render complete callback upon function request.
+	 * Checks if collection is sparse, i.e. models are loaded by pages.
 	 * @private
+	 * 
+	 * @return {Boolean} True if sparse mode is on and false otherwise.
 	 */
-	_onFunctionRequestFinished: function() {
-		this._isFunctionActive = false;
-		this._processFunctionRequest(); // process next request
+	_isSparse: function() {
+		return this.totalLength !== null;
 	},
 
 	/**
-	 * On attach event listener.
+	 * Rebuilds map of loaded models by their indices.
 	 * @private
 	 */
-	_onAttach: function() {
-		if (this._initialized)
+	_rebuildSparseModels: function() {
+		this._sparseModels.clear();
+		if (!this._isSparse())
 			return;
+		this.collection.each(function(model) {
+			this._sparseModels.set(model.get(this.indexAttribute), model);
+		}, this);
+	},
 
-		this.$el = $(this.containerSelectorName);
-		if (this.$el.length != 0) {
-			this.$el.css({'position': 'relative', 'width': '100%'});
-			this.$el.empty();
+	/**
+	 * Applies collection changes in sparse mode.
+	 * Rendered placeholders are replaced with child views of loaded models in place,
+	 * and the item at the top of viewport stays in place.
+	 * @private
+	 * 
+	 * @param {Object} changes   The collection changes with added and removed models.
+	 */
+	_applySparseChanges: function(changes) {
+		var indices = new Array();
+		changes.removed.forEach(function(model) {
+			var index = model.get(this.indexAttribute);
+			if (this._sparseModels.get(index) === model) {
+				this._sparseModels.delete(index);
+				indices.push(index);
+			}
+		}, this);
+		changes.added.forEach(function(model) {
+			var index = model.get(this.indexAttribute);
+			this._expandedHeights.delete('placeholder:' + index);
+			this._sparseModels.set(index, model);
+			indices.push(index);
+		}, this);
+		if (indices.length == 0 || this._isEmptyView)
+			return;
+		var anchors = this._captureScrollAnchors();
+		indices.forEach(function(index) {
+			if (index >= this.totalLength)
+				return;
+			if (this._indicesCache.has(index)) {
+				if (this._views.has(index))
+					this._removeChildView(this._views.get(index));
+				this._views.delete(index);
+				this._createItem(index);
+			} else {
+				this._updateRowHeight(this._getRowIndex(index));
+			}
+		}, this);
+		this._relayoutItems();
+		this._updateContentHeight();
+		this._restoreScrollAnchor(anchors, function(index) {
+			return index;
+		});
+	},
 
-			this._$content = $('<div id="scroller">');
-			this._$content.css({'position': 'absolute', 'width': '100%'});
-			this.$el.append(this._$content);
-			this._$content.css('height', this.collection.length * this._getEstimatedElementHeightWithOffset());
+	/**
+	 * Schedules request of missing pages in visible range.
+	 * Pages are requested only when visible range stays the same for pageRequestDelay.
+	 * @private
+	 */
+	_schedulePageRequest: function() {
+		if (!this._isSparse() || !this.loadPage)
+			return;
+		if (this._pageRequestTimer)
+			clearTimeout(this._pageRequestTimer);
+		this._pageRequestTimer = setTimeout(this._requestPages.bind(this), this.pageRequestDelay);
+	},
 
-			if (this.useIScroll) {
-				this._scroll = new IScroll(this.containerSelectorName, {
-					probeType: 2,
-					scrollbars: true,
-					mouseWheel: true,
-					interactiveScrollbars: true,
-					shrinkScrollbars: 'clip',
-					resizeScrollbars: this.resizeScrollbars,
-					// fadeScrollbars: true
-				});
-				this._scroll.on('scroll', this._onScroll.bind(this));
-			} else {
-				// Use default scroll
-				this.$el.scroll(this._onScroll.bind(this));
+	/**
+	 * Requests pages with missing models in visible range.
+	 * @private
+	 */
+	_requestPages: function() {
+		this._pageRequestTimer = null;
+		var pages = new Set();
+		var last = Math.min(this._visibleItems[1], this.totalLength - 1);
+		for (var index = this._visibleItems[0]; index <= last; ++index) {
+			if (!this._sparseModels.has(index))
+				pages.add(Math.floor(index / this.pageSize));
+		}
+		pages.forEach(function(page) {
+			if (this._loadingPages.has(page))
+				return;
+			var promise = this.loadPage(page, this.pageSize);
+			if (!promise)
+				return;
+			this._loadingPages.add(page);
+			var complete = function() {
+				this._loadingPages.delete(page);
+			}.bind(this);
+			Promise.resolve(promise).then(complete, complete);
+		}, this);
+	},
+
+	/**
+	 * Gets size of sticky header covering the entry at the top of viewport.
+	 * @private
+	 * 
+	 * @param {Number} index   The entry index.
+	 * @return {Number} The header size or 0 if there is no sticky header.
+	 */
+	_getStickyHeaderSize: function(index) {
+		if (this._groups.length == 0 || !this.stickyHeaders || this._getModelIndex(index) < 0)
+			return 0;
+		return this._obtainItemHeight(this._groups[this._getGroupIndex(index)].start);
+	},
+
+	/**
+	 * Pins header of the group at the top of viewport.
+	 * Header of the next group pushes it out when approaches.
+	 * @private
+	 */
+	_updateStickyHeader: function() {
+		if (this._groups.length == 0 || !this.stickyHeaders)
+			return;
+		var scrollPosition = this._getScrollPosition();
+		var groupIndex = this._getGroupIndex(this._obtainItemIndex(scrollPosition));
+		var index = this._groups[groupIndex].start;
+		if (this._stickyHeaderIndex !== null && this._stickyHeaderIndex != index) {
+			// Previous header goes back to its place
+			var previous = this._views.get(this._stickyHeaderIndex);
+			if (previous) {
+				this._placeItem(previous, this._stickyHeaderIndex);
+				previous.$el.css('z-index', '');
 			}
+		}
+		this._stickyHeaderIndex = index;
+		// Header is kept rendered while its group is visible
+		if (this._indicesCache.put(index))
+			this._createItem(index);
+		var view = this._views.get(index);
+		if (!view)
+			return;
+		var position = Math.max(this._obtainItemPosition(index), scrollPosition);
+		if (groupIndex + 1 < this._groups.length) {
+			var next = this._groups[groupIndex + 1].start;
+			position = Math.min(position, this._obtainItemPosition(next) - this._obtainItemHeight(index));
+		}
+		view.$el.css(this._getPositionProperty(), position);
+		view.$el.css('z-index', 1);
+	},
 
-			this._updateClientHeight();
+	/**
+	 * On scroll event listener.
+	 * @private
+	 */
+	_onScroll: function() {
+		this._stuckToEnd = this._isScrolledToEnd(this._getScrollPosition());
+		this._requestFrame();
+		if (this.enableScrollEnd) {
+			this._isScrolling = true;
+			if (this._scrollEndTimer)
+				clearTimeout(this._scrollEndTimer);
+			this._scrollEndTimer = setTimeout(this._onScrollEnd.bind(this), 500);
+		}
+	},
 
-			this._initialized = true;
+	/**
+	 * Called from timeout when scrolling has ended.
+	 * Fires onScrollEnd method on all visible views.
+	 * @private
+	 */
+	_onScrollEnd: function() {
+		this._isScrolling = false;
+		for (const [key, view] of this._views.entries()) {
+			if (view.onScrollEnd)
+				view.onScrollEnd.call(view);
 		}
 	},
 
 	/**
-	 * On collection change event listener.
+	 * Gets current scroll position.
+	 * @private
+	 * 
+	 * @return {Number} The scroll position.
+	 */
+	_getScrollPosition: function() {
+		if (this.useIScroll) {
+			return Math.abs(this._isHorizontal() ? this._scroll.x : this._scroll.y);
+		} else {
+			return this._isHorizontal() ? this.el.scrollLeft : this.el.scrollTop;
+		}
+	},
+
+	/**
+	 * Sets scroll position immediately.
+	 * @private
+	 * 
+	 * @param {Number} scrollPosition  The scroll position.
+	 */
+	_setScrollPosition: function(scrollPosition) {
+		this._stuckToEnd = this._isScrolledToEnd(scrollPosition);
+		if (this.useIScroll) {
+			if (this._isHorizontal())
+				this._scroll.scrollTo(-scrollPosition, 0);
+			else
+				this._scroll.scrollTo(0, -scrollPosition);
+		} else {
+			if (this._isHorizontal())
+				this.el.scrollLeft = scrollPosition;
+			else
+				this.el.scrollTop = scrollPosition;
+		}
+		this._requestFrame();
+	},
+
+	/**
+	 * Checks if items are laid out horizontally.
+	 * @private
+	 * 
+	 * @return {Boolean} True if orientation is horizontal and false otherwise.
+	 */
+	_isHorizontal: function() {
+		return this.orientation == 'horizontal';
+	},
+
+	/**
+	 * Gets container client size along the scroll axis.
+	 * @private
+	 * 
+	 * @return {Number} The client size.
+	 */
+	_getClientSize: function() {
+		return this._isHorizontal() ? this.el.clientWidth : this.el.clientHeight;
+	},
+
+	/**
+	 * Gets CSS property name for item position along the scroll axis.
 	 * @private
+	 * 
+	 * @return {String} The property name.
 	 */
-	_onCollectionChanged: function() {
-		// Full collection update
-		if (!this._initialized) // this might be called during initialization phase
-			return;
-		this._clear();
-		this._$content.css('height', this.collection.length * this._getEstimatedElementHeightWithOffset());
-		this._scrollRefreshRequested = true;
-		this.render();
+	_getPositionProperty: function() {
+		return this._isHorizontal() ? 'left' : 'top';
 	},
 
 	/**
-	 * On scroll event listener.
+	 * Gets CSS property name for size along the scroll axis.
 	 * @private
+	 * 
+	 * @return {String} The property name.
 	 */
-	_onScroll: function() {
-		this._requestFrame();
-		if (this.enableScrollEnd) {
-			this._isScrolling = true;
-			if (this._scrollEndTimer)
-				clearTimeout(this._scrollEndTimer);
-			this._scrollEndTimer = setTimeout(this._onScrollEnd.bind(this), 500);
-		}
+	_getSizeProperty: function() {
+		return this._isHorizontal() ? 'width' : 'height';
 	},
 
 	/**
-	 * Called from timeout when scrolling has ended.
-	 * Fires onScrollEnd method on all visible views.
+	 * Maximum number of visible range updates per animation frame.
 	 * @private
 	 */
-	_onScrollEnd: function() {
-		this._isScrolling = false;
-		for (const [key, view] of this._views.entries()) {
-			if (view.onScrollEnd)
-				view.onScrollEnd.call(view);
-		}
-	},
+	_maxLayoutPasses: 4,
 
 	/**
 	 * Threshold for making renderable range.
@@ -569,19 +3256,25 @@ var BigCollectionView = Backbone.View.extend({
 
 	/**
 	 * Estimated element height with offset.
+	 * Returns estimated width in horizontal orientation.
 	 * @private
 	 */
 	_getEstimatedElementHeightWithOffset: function() {
+		if (this._isHorizontal())
+			return this.estimatedItemWidth + this.elementsOffset;
 		return this.estimatedItemHeight + this.elementsOffset;
 	},
 
 	/**
 	 * Element height with offset.
+	 * Returns width in horizontal orientation.
 	 * @private
 	 * 
 	 * @param {Element} el   The element to get height.
 	 */
 	_getElementHeightWithOffset: function(el) {
+		if (this._isHorizontal())
+			return el.width() + this.elementsOffset;
 		return el.height() + this.elementsOffset;
 	},
 
@@ -590,10 +3283,10 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_getOptimalCacheCapacity: function() {
-		var clientHeight = this._clientHeight;
+		var clientSize = this._clientSize;
 		var itemHeight = this._getEstimatedElementHeightWithOffset();
 		var threshold = this._getScrollThreshold();
-		return Math.ceil((clientHeight + threshold * 2) / itemHeight) + 1;
+		return (Math.ceil((clientSize + threshold * 2) / itemHeight) + 1) * this._columnCount;
 	},
 
 	/**
@@ -601,7 +3294,7 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_requestFrame: function() {
-		if (!this._frameRequested) {
+		if (!this._frameRequested && !this._isDestroyed) {
 			window.requestAnimationFrame(this._update.bind(this));
 			this._frameRequested = true;
 		}
@@ -613,43 +3306,261 @@ var BigCollectionView = Backbone.View.extend({
 	 */
 	_update: function(delta) {
 		this._frameRequested = false;
-		if (this.collection.length == 0) {
+		if (this._isDestroyed)
+			return;
+		if (this._getEntryCount() == 0) {
 			this._createEmptyView();
 		} else {
-			this._updateClientHeight();
-			this._getVisibleItems();
-			// Update visible items
-			for (var index = this._visibleItems[0]; index <= this._visibleItems[1]; ++index) {
-				// Refresh item by index
-				if (this._indicesCache.put(index)) {
-					// Index was added to cache, we need to create child view also.
-					this._createItem(index);
-				} else if (this._forceRedraw) {
-					this._redrawItem(index);
+			if (this._isEmptyView)
+				this._destroyEmptyView();
+			this._updateClientSize();
+			this._updateColumnCount();
+			if (this._isStuckToEnd())
+				this._scrollToEnd();
+			// Item at the top edge of viewport should stay in place
+			// when items above it get measured heights different from estimated.
+			var scrollPosition = this._getScrollPosition();
+			var anchorIndex = this._obtainItemIndex(scrollPosition);
+			var anchorOffset = this._obtainItemPosition(anchorIndex) - scrollPosition;
+			var changed = false;
+			// Apply resized children
+			if (this._childResizeRequested) {
+				this._childResizeRequested = false;
+				if (this._measureItems()) {
+					changed = true;
+					this._relayoutItems();
+					this._correctScrollAnchor(anchorIndex, anchorOffset);
 				}
 			}
+			// Measured items might be smaller than estimated and uncover more items,
+			// so visible range is updated until layout settles.
+			for (var pass = 0; pass < this._maxLayoutPasses; ++pass) {
+				if (!this._updateVisibleItems(this._forceRedraw && pass == 0))
+					break;
+				changed = true;
+				this._relayoutItems();
+				this._correctScrollAnchor(anchorIndex, anchorOffset);
+			}
+			if (changed)
+				this._updateContentHeight();
+			this._updateStickyHeader();
+			this._updateTabStop();
+			this._schedulePageRequest();
 		}
+		this._updateAria();
+		this._checkLoadMore();
+		this._updateLoadingViews();
 		if (this.useIScroll && this._scrollRefreshRequested) {
 			this._scrollRefreshRequested = false;
 			this._scroll.refresh();
 		}
 		this._forceRedraw = false;
+		if (this._isRenderingChildren) {
+			this._isRenderingChildren = false;
+			this.triggerMethod('render:children', this);
+		}
 		this._fireRenderCompleteCallbacks();
 	},
 
+	/**
+	 * Requests more items if viewport is close to either end of content.
+	 * Exhausted end is requested again after viewport has left it.
+	 * @private
+	 */
+	_checkLoadMore: function() {
+		if (!this.onNeedMore)
+			return;
+		var scrollPosition = this._getScrollPosition();
+		var nearEnds = {
+			top: scrollPosition <= this.loadMoreThreshold,
+			bottom: scrollPosition + this._getClientSize() >= this._layout.total() - this.loadMoreThreshold,
+		};
+		_.each(nearEnds, function(isNear, direction) {
+			if (isNear)
+				this._loadMore(direction);
+			else
+				this._loadExhausted[direction] = false;
+		}, this);
+	},
+
+	/**
+	 * Loads more items in the given direction unless loading is in progress.
+	 * @private
+	 * 
+	 * @param {String} direction  The direction: 'top' or 'bottom'.
+	 */
+	_loadMore: function(direction) {
+		if (this._loadRequests[direction] || this._loadExhausted[direction])
+			return;
+		var length = this.collection.length;
+		var promise = this.onNeedMore(direction);
+		if (!promise) {
+			this._loadExhausted[direction] = true;
+			return;
+		}
+		this._loadRequests[direction] = promise;
+		this._showLoadingView(direction);
+		var complete = function() {
+			if (this._loadRequests[direction] !== promise)
+				return;
+			this._loadRequests[direction] = null;
+			this._hideLoadingView(direction);
+			// Do not request again until user scrolls away and back if nothing has been added
+			this._loadExhausted[direction] = (this.collection.length == length);
+			this._requestFrame();
+		}.bind(this);
+		Promise.resolve(promise).then(complete, complete);
+	},
+
+	/**
+	 * Shows loading indicator.
+	 * @private
+	 * 
+	 * @param {String} direction  The direction: 'top' or 'bottom'.
+	 */
+	_showLoadingView: function(direction) {
+		if (this.loadingView == null || this._loadingViews[direction])
+			return;
+		var view = new this.loadingView({
+			direction: direction,
+			collectionView: this,
+		});
+		view.render();
+		view.$el.css('z-index', 2);
+		this._loadingViews[direction] = view;
+		this._requestFrame();
+	},
+
+	/**
+	 * Hides loading indicator.
+	 * @private
+	 * 
+	 * @param {String} direction  The direction: 'top' or 'bottom'.
+	 */
+	_hideLoadingView: function(direction) {
+		var view = this._loadingViews[direction];
+		if (view) {
+			this._destroyView(view);
+			this._loadingViews[direction] = null;
+		}
+	},
+
+	/**
+	 * Pins loading indicators to the edges of viewport.
+	 * @private
+	 */
+	_updateLoadingViews: function() {
+		var scrollPosition = this._getScrollPosition();
+		var sizeProperty = this._getSizeProperty();
+		_.each(this._loadingViews, function(view, direction) {
+			if (view == null)
+				return;
+			// Content might have been cleared
+			if (!$.contains(this._$content[0], view.$el[0]))
+				this._$content.append(view.$el);
+			var position = scrollPosition;
+			if (direction == 'bottom')
+				position += this._getClientSize() - view.$el[sizeProperty]();
+			view.$el.css(this._getPositionProperty(), position);
+		}, this);
+	},
+
+	/**
+	 * Creates items in visible range that are not rendered yet.
+	 * @private
+	 * 
+	 * @param {Boolean} redraw   Whether redraw already rendered items.
+	 * @return {Boolean} True if any item has been created and false otherwise.
+	 */
+	_updateVisibleItems: function(redraw) {
+		var created = false;
+		this._getVisibleItems();
+		// Cache should hold all visible items and sticky header
+		var count = this._visibleItems[1] - this._visibleItems[0] + 1;
+		if (this._groups.length != 0)
+			++count;
+		if (this._indicesCache.capacity() < count)
+			this._indicesCache.setCapacity(count);
+		for (var index = this._visibleItems[0]; index <= this._visibleItems[1]; ++index) {
+			// Refresh item by index
+			if (this._indicesCache.put(index)) {
+				// Index was added to cache, we need to create child view also.
+				this._createItem(index);
+				created = true;
+			} else if (redraw) {
+				this._redrawItem(index);
+			}
+		}
+		return created;
+	},
+
+	/**
+	 * Scrolls so the anchor item has the same offset from viewport top.
+	 * @private
+	 * 
+	 * @param {Number} index    The anchor item index.
+	 * @param {Number} offset   The anchor item offset from viewport top.
+	 */
+	_correctScrollAnchor: function(index, offset) {
+		// The end of content is an anchor in stickToBottom mode
+		if (this._isStuckToEnd()) {
+			this._scrollToEnd();
+			return;
+		}
+		var scrollPosition = Math.max(this._obtainItemPosition(index) - offset, 0);
+		if (scrollPosition != this._getScrollPosition())
+			this._setScrollPosition(scrollPosition);
+	},
+
+	/**
+	 * Checks if viewport should be kept scrolled to the end.
+	 * @private
+	 * 
+	 * @return {Boolean} True if stuck to the end and false otherwise.
+	 */
+	_isStuckToEnd: function() {
+		// Scroll requests are not interrupted
+		return this.stickToBottom && this._stuckToEnd && this._scrollRequest === null;
+	},
+
+	/**
+	 * Checks if scroll position is at the end of content.
+	 * @private
+	 * 
+	 * @param {Number} scrollPosition  The scroll position.
+	 * @return {Boolean} True if scrolled to the end and false otherwise.
+	 */
+	_isScrolledToEnd: function(scrollPosition) {
+		return scrollPosition + this._getClientSize() >= this._layout.total() - 1;
+	},
+
+	/**
+	 * Scrolls to the end of content immediately.
+	 * @private
+	 */
+	_scrollToEnd: function() {
+		// Content size should be actual, otherwise scroll position is clamped
+		this._$content.css(this._getSizeProperty(), this._layout.total());
+		if (this.useIScroll)
+			this._scrollRefreshRequested = true;
+		var scrollPosition = Math.max(this._layout.total() - this._getClientSize(), 0);
+		if (scrollPosition != this._getScrollPosition())
+			this._setScrollPosition(scrollPosition);
+	},
+
 	/**
 	 * Updates client height and cache capacity.
 	 * @private
 	 */
-	_updateClientHeight: function() {
-		// Somehow clientHeight is being set properly after DOM creation
-		var clientHeight = this.$el[0].clientHeight;
-		if (this._clientHeight != clientHeight) {
-			this._clientHeight = clientHeight;
+	_updateClientSize: function() {
+		// Somehow clientSize is being set properly after DOM creation
+		var clientSize = this._getClientSize();
+		if (this._clientSize != clientSize) {
+			this._clientSize = clientSize;
 			// And update cache capacity
 			this._indicesCache.setCapacity(this._getOptimalCacheCapacity());
 		}
-		this._clientHeight = 0;
+		this._clientSize = 0;
 	},
 
 	/**
@@ -657,22 +3568,15 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_getVisibleItems: function() {
-		var clientHeight = this.$el[0].clientHeight;
-		var scrollTop;
-		if (this.useIScroll) {
-			scrollTop = Math.abs(this._scroll.y);
-		} else {
-			scrollTop = this.$el[0].scrollTop;
-		}
+		var clientSize = this._getClientSize();
+		var scrollPosition = this._getScrollPosition();
 
-		var itemHeight = this._getEstimatedElementHeightWithOffset();
 		var threshold = this._getScrollThreshold();
-		var min = Math.floor((scrollTop - threshold) / itemHeight);
-		var max = Math.floor((scrollTop + clientHeight + threshold) / itemHeight);
 		// Index of top item
-		this._visibleItems[0] = Math.max(min, 0);
+		this._visibleItems[0] = this._obtainItemIndex(scrollPosition - threshold);
 		// Index of bottom item
-		this._visibleItems[1] = Math.min(max, this.collection.length - 1);
+		var lastRowIndex = this._obtainItemIndex(scrollPosition + clientSize + threshold);
+		this._visibleItems[1] = Math.min(lastRowIndex + this._columnCount, this._getEntryCount()) - 1;
 	},
 
 	/**
@@ -682,13 +3586,26 @@ var BigCollectionView = Backbone.View.extend({
 	_createEmptyView: function() {
 		this._isEmptyView = true;
 		this._clear();
-		var emptyViewType = this.emptyView;
+		var emptyViewType = this._getViewClass(this.emptyView);
 		if (emptyViewType == null)
 			return;
-		var view = new emptyViewType();
+		var view = new emptyViewType(_.result(this, 'emptyViewOptions'));
 		// Add element to DOM
 		view.render();
 		this._$content.append(view.$el);
+		this._emptyView = view;
+	},
+
+	/**
+	 * Destroys empty view when collection gets items.
+	 * @private
+	 */
+	_destroyEmptyView: function() {
+		this._isEmptyView = false;
+		if (this._emptyView) {
+			this._destroyView(this._emptyView);
+			this._emptyView = null;
+		}
 	},
 
 	/**
@@ -696,54 +3613,306 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_createItem: function(index) {
-		if (this._isEmptyView) {
-			this._isEmptyView = false;
-			this._clear();
-		}
-		var model = this.collection.at(index);
-		var childViewType = this.childView(model);
-		if (childViewType == null)
+		if (this._isEmptyView)
+			this._destroyEmptyView();
+		var modelIndex = this._getModelIndex(index);
+		var item = (modelIndex < 0) ? this._buildHeaderView(index) : this._buildChildView(modelIndex);
+		if (item == null)
 			return;
-		var item = new childViewType({
-			model: model,
-			collectionView: this,
-		});
+		var key = this._getEntryKey(index);
+		var isChild = this._isChildView(item);
+		this._beforeRenderChildren();
+		if (isChild)
+			this.triggerMethod('before:add:child', this, item);
 		// Add element to DOM
 		item.render();
-		var position, height;
-		position = this._obtainItemPosition(index);
-		item.$el.css('top', position);
+		if (isChild)
+			this._applySelectedState(item);
+		var height;
+		this._placeItem(item, index);
+		this._applyAriaAttributes(item, index);
 		this._$content.append(item.$el);
 		// Add to storage
 		this._views.set(index, item);
+		this._viewKeys.set(item, key);
+		if (isChild) {
+			this.listenTo(item, 'all', this._onChildViewEvent);
+			this.triggerMethod('add:child', this, item);
+		}
+		if (this.keyboardNavigation && modelIndex >= 0)
+			item.$el.attr('tabindex', -1); // focusable by click, see _updateTabStop
+
+		if (this._resizeObserver)
+			this._resizeObserver.observe(item.$el[0]);
 		// Store position and height
-		var estimatedHeight = this._getEstimatedElementHeightWithOffset();
 		if (this.modelStoresExpandedState) {
-			if (this._expandedHeightsMap.has(index)) {
-				height = this._expandedHeightsMap.get(index);
+			if (this._expandedHeights.has(key)) {
+				height = this._expandedHeights.get(key);
 			} else {
 				height = this._getElementHeightWithOffset(item.$el);
 			}
 		} else {
 			height = this._getElementHeightWithOffset(item.$el);
 		}
-		this._positionsMap.set(index, position);
 		this._heightsMap.set(index, height);
-		// Set expanded height items
-		if (height != estimatedHeight)
-			this._expandedHeightsMap.set(index, height);
-		else
-			this._expandedHeightsMap.delete(index);
+		this._storeExpandedHeight(index, height);
+		if (this._drag && item.model === this._drag.model)
+			item.$el.css('visibility', 'hidden');
 		// console.log('created item at ' + index);
 	},
 
+	/**
+	 * Builds child view for model.
+	 * @private
+	 * 
+	 * @param {Number} modelIndex   The model index in collection.
+	 * @return {Backbone.View} The child view or null.
+	 */
+	_buildChildView: function(modelIndex) {
+		var model = this._getModelAt(modelIndex);
+		if (model == null)
+			return this._buildPlaceholderView(modelIndex);
+		var childViewType = this._getViewClass(this.childView, model);
+		if (childViewType == null)
+			return null;
+		var options = this.childViewOptions;
+		if (_.isFunction(options))
+			options = options.call(this, model, modelIndex);
+		options = _.extend({collectionView: this}, options, {model: model});
+		var view = this._takeRecycledView(childViewType, model, options);
+		if (view)
+			return view;
+		view = new childViewType(options);
+		this._viewTypes.set(view, childViewType);
+		return view;
+	},
+
+	/**
+	 * Gets method that rebinds child view to another model.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 * @return {Function} The method or undefined if view can not be rebound.
+	 */
+	_getRebindMethod: function(view) {
+		return view.setModel || view.rebind;
+	},
+
+	/**
+	 * Takes child view of the given class from pool and rebinds it to model.
+	 * @private
+	 * 
+	 * @param {Function} childViewType   The child view class.
+	 * @param {Backbone.Model} model     The model.
+	 * @param {Object} options           The child view options.
+	 * @return {Backbone.View} The child view or null if pool is empty.
+	 */
+	_takeRecycledView: function(childViewType, model, options) {
+		var pool = this._viewPool.get(childViewType);
+		if (!pool || pool.length == 0)
+			return null;
+		var view = pool.pop();
+		this._getRebindMethod(view).call(view, model, options);
+		return view;
+	},
+
+	/**
+	 * Gets view class from class definition or function that returns it.
+	 * @private
+	 * 
+	 * @param {Function} definition   The view class or function.
+	 * @param {Backbone.Model} model  The model passed to function. Optional.
+	 * @return {Function} The view class or null.
+	 */
+	_getViewClass: function(definition, model) {
+		if (!definition)
+			return null;
+		if (definition === Backbone.View || definition.prototype instanceof Backbone.View)
+			return definition;
+		return definition.call(this, model);
+	},
+
+	/**
+	 * Puts removed child view to pool if recycling is on.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 * @return {Boolean} True if view has been put to pool and false otherwise.
+	 */
+	_recycleChildView: function(view) {
+		var childViewType = this._viewTypes.get(view);
+		if (!this.recycleChildViews || !childViewType || !this._getRebindMethod(view))
+			return false;
+		var pool = this._viewPool.get(childViewType);
+		if (!pool) {
+			pool = new Array();
+			this._viewPool.set(childViewType, pool);
+		}
+		// Pool does not need more views than cache can hold
+		if (pool.length >= this._indicesCache.capacity())
+			return false;
+		view.$el.detach();
+		pool.push(view);
+		return true;
+	},
+
+	/**
+	 * Builds placeholder view for item which model is not loaded yet.
+	 * @private
+	 * 
+	 * @param {Number} modelIndex   The model index.
+	 * @return {Backbone.View} The placeholder view or null.
+	 */
+	_buildPlaceholderView: function(modelIndex) {
+		if (this.placeholderView == null)
+			return null;
+		return new this.placeholderView({
+			index: modelIndex,
+			collectionView: this,
+		});
+	},
+
+	/**
+	 * Builds group header view.
+	 * @private
+	 * 
+	 * @param {Number} index   The header entry index.
+	 * @return {Backbone.View} The header view.
+	 */
+	_buildHeaderView: function(index) {
+		var group = this._groups[this._getGroupIndex(index)];
+		return new this.headerView({
+			model: new Backbone.Model({
+				group: group.key,
+				count: group.count,
+			}),
+			collectionView: this,
+		});
+	},
+
+	/**
+	 * Stores entry height if it differs from estimated one.
+	 * @private
+	 * 
+	 * @param {Number} index            The entry index.
+	 * @param {Number} height           The entry height with offset.
+	 */
+	_storeExpandedHeight: function(index, height) {
+		var key = this._getEntryKey(index);
+		if (height != this._getEstimatedEntryHeight(index))
+			this._expandedHeights.set(key, height);
+		else
+			this._expandedHeights.delete(key);
+		this._updateRowHeight(this._getRowIndex(index));
+	},
+
+	/**
+	 * Gets entry height stored by its key or estimated one.
+	 * @private
+	 * 
+	 * @param {Number} index            The entry index.
+	 * @return {Number} The entry height with offset.
+	 */
+	_getStoredHeight: function(index) {
+		var key = this._getEntryKey(index);
+		if (this._expandedHeights.has(key))
+			return this._expandedHeights.get(key);
+		return this._getEstimatedEntryHeight(index);
+	},
+
+	/**
+	 * Gets estimated entry height with offset.
+	 * @private
+	 * 
+	 * @param {Number} index            The entry index.
+	 * @return {Number} The estimated height with offset.
+	 */
+	_getEstimatedEntryHeight: function(index) {
+		if (this.estimatedHeaderHeight !== null && this._getModelIndex(index) < 0)
+			return this.estimatedHeaderHeight + this.elementsOffset;
+		return this._getEstimatedElementHeightWithOffset();
+	},
+
+	/**
+	 * Updates row height in layout. Row height is the maximum height of its items.
+	 * @private
+	 * 
+	 * @param {Number} row   The row index.
+	 */
+	_updateRowHeight: function(row) {
+		var height = 0;
+		var end = Math.min((row + 1) * this._columnCount, this._getEntryCount());
+		for (var i = row * this._columnCount; i < end; ++i)
+			height = Math.max(height, this._getStoredHeight(i));
+		// Dragged item is lifted out of layout and drop placeholder takes its size
+		if (this._drag && this._drag.sourceIndex !== null && row == this._getRowIndex(this._drag.sourceIndex))
+			height = 0;
+		if (this._drop && this._drop.gapIndex !== null && row == this._getRowIndex(this._drop.gapIndex))
+			height += this._drop.size;
+		this._layout.set(row, height);
+	},
+
+	/**
+	 * Rebuilds layout of row heights from heights stored by model.
+	 * Should be called when collection length, models order or number of columns changes.
+	 * Complexity: O(N), where N is collection length. In sparse mode only stored heights are looked up.
+	 * @private
+	 */
+	_rebuildLayout: function() {
+		var columnCount = this._columnCount;
+		var count = this._getEntryCount();
+		var heights = new Float64Array(Math.ceil(count / columnCount));
+		if (this._groups.length == 0 && (this._expandedHeights.size == 0 || (columnCount == 1 && !this._isSparse()))) {
+			heights.fill(this._getEstimatedElementHeightWithOffset());
+			var remaining = this._expandedHeights.size;
+			for (var i = 0; i < this._getModelCount() && remaining > 0; ++i) {
+				var cid = this._getModelAt(i).cid;
+				if (this._expandedHeights.has(cid)) {
+					heights[i] = this._expandedHeights.get(cid);
+					--remaining;
+				}
+			}
+		} else if (this._isSparse() && this._groups.length == 0) {
+			// Only rows with stored heights differ from estimated, their indices are found by keys
+			heights.fill(this._getEstimatedElementHeightWithOffset());
+			var indices = new Map();
+			this._sparseModels.forEach(function(model, index) {
+				indices.set(model.cid, index);
+			});
+			var rows = new Set();
+			this._expandedHeights.forEach(function(height, key) {
+				var index = indices.get(key);
+				if (index === undefined && key.indexOf('placeholder:') == 0)
+					index = parseInt(key.substring('placeholder:'.length));
+				if (index !== undefined && index < count)
+					rows.add(Math.floor(index / columnCount));
+			});
+			rows.forEach(function(row) {
+				var end = Math.min((row + 1) * columnCount, count);
+				heights[row] = 0;
+				for (var i = row * columnCount; i < end; ++i)
+					heights[row] = Math.max(heights[row], this._getStoredHeight(i));
+			}, this);
+		} else {
+			for (var i = 0; i < count; ++i) {
+				var row = Math.floor(i / columnCount);
+				heights[row] = Math.max(heights[row], this._getStoredHeight(i));
+			}
+		}
+		this._layout.build(heights);
+		this._applyDragLayout();
+	},
+
 	/**
 	 * Redraws child view.
 	 * @private
 	 */
 	_redrawItem: function(index) {
 		var view = this._views.get(index);
+		this._beforeRenderChildren();
 		view.render();
+		if (this._isChildView(view))
+			this._applySelectedState(view);
 	},
 
 	/**
@@ -751,12 +3920,32 @@ var BigCollectionView = Backbone.View.extend({
 	 * @private
 	 */
 	_clear: function() {
+		this._cancelDrag();
+		this._endDrop();
+		this._views.forEach(function(view, index, map) {
+			this._removeChildView(view);
+		}, this);
 		this._views.clear();
+		if (this._emptyView) {
+			this._destroyView(this._emptyView);
+			this._emptyView = null;
+		}
 		this._indicesCache.clear();
 		this._positionsMap.clear();
 		this._heightsMap.clear();
-		this._expandedHeightsMap.clear();
+		this._expandedHeights.clear();
+		this._stickyHeaderIndex = null;
+		this._ariaState = null;
+		this._rebuildEntries();
+		this._rebuildLayout();
 		this._renderCallbackQueue.length = 0;
+		// Function request in process still waits for render completion
+		if (this._isFunctionActive) {
+			this.addRenderCompleteCallback(this, this._onFunctionRequestFinished);
+			this._requestFrame();
+		}
+		if (this._resizeObserver)
+			this._resizeObserver.disconnect();
 		// Clear DOM
 		if (this._$content)
 			this._$content.empty();
@@ -772,12 +3961,105 @@ var BigCollectionView = Backbone.View.extend({
 	 */
 	_onIndexRemovedFromCache: function(index) {
 		var view = this._views.get(index);
-		// Remove element from DOM
-		view.$el.remove();
+		if (view) // child view might be not created
+			this._removeChildView(view);
 		// Remove item from storage too
 		this._views.delete(index);
 		this._positionsMap.delete(index);
 		this._heightsMap.delete(index);
+		if (index === this._stickyHeaderIndex)
+			this._stickyHeaderIndex = null;
 		// console.log('destroyed item at ' + index);
 	},
+
+	/**
+	 * Removes child view element from DOM or puts view to pool.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The child view.
+	 */
+	_removeChildView: function(view) {
+		var isChild = this._isChildView(view);
+		if (isChild) {
+			this.triggerMethod('before:remove:child', this, view);
+			this.stopListening(view);
+		}
+		if (this._resizeObserver)
+			this._resizeObserver.unobserve(view.$el[0]);
+		if (this._drag && isChild && view.model === this._drag.model)
+			view.$el.css('visibility', ''); // view might be reused
+		if (this.keyboardNavigation && view.$el[0].contains(document.activeElement)) {
+			// Keep focus in list until active item is rendered again
+			this._focusPending = true;
+			this.el.focus({preventScroll: true});
+		}
+		if (!this._recycleChildView(view))
+			this._destroyView(view);
+		if (isChild)
+			this.triggerMethod('remove:child', this, view);
+	},
+
+	/**
+	 * Checks if view is child view of model, not header or placeholder.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The view.
+	 * @return {Boolean} True if view is child view and false otherwise.
+	 */
+	_isChildView: function(view) {
+		return this._viewTypes.has(view);
+	},
+
+	/**
+	 * Child view event listener. Calls handler from childViewEvents,
+	 * triggers event from childViewTriggers and event with childViewEventPrefix.
+	 * @private
+	 * 
+	 * @param {String} event   The event name.
+	 */
+	_onChildViewEvent: function(event) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		var events = _.result(this, 'childViewEvents');
+		var handler = events && events[event];
+		if (_.isString(handler))
+			handler = this[handler];
+		if (_.isFunction(handler))
+			handler.apply(this, args);
+		var triggers = _.result(this, 'childViewTriggers');
+		if (triggers && triggers[event])
+			this.triggerMethod.apply(this, [triggers[event]].concat(args));
+		if (this.childViewEventPrefix)
+			this.triggerMethod.apply(this, [this.childViewEventPrefix + ':' + event].concat(args));
+	},
+
+	/**
+	 * Triggers 'before:render:children' event once per frame before children get rendered.
+	 * 'render:children' event is triggered at the end of frame.
+	 * @private
+	 */
+	_beforeRenderChildren: function() {
+		if (this._isRenderingChildren)
+			return;
+		this._isRenderingChildren = true;
+		this.triggerMethod('before:render:children', this);
+	},
+
+	/**
+	 * Destroys view. View is destroyed with destroy() if it has one (like Marionette views do),
+	 * otherwise it is removed with remove() and onBeforeDestroy/onDestroy hooks are called.
+	 * @private
+	 * 
+	 * @param {Backbone.View} view   The view.
+	 */
+	_destroyView: function(view) {
+		if (view.destroy) {
+			view.destroy();
+			return;
+		}
+		if (view.onBeforeDestroy)
+			view.onBeforeDestroy();
+		view.remove();
+		if (view.onDestroy)
+			view.onDestroy();
+	},
 });
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) 2021 Vladimir Sviridov.
+ * Distributed under the MIT License (license terms are at http://opensource.org/licenses/MIT).
+ * 
+ * Module defines drag context class.
+ */
+
+/**
+ * Defines drag context shared by collection views to drag items between them.
+ * Context keeps views that accept dropped items.
+ */
+function DragContext() {
+	var _views = new Array();
+
+	/**
+	 * Adds view to context
+	 * 
+	 * @param {BigCollectionView} view   The view.
+	 */
+	this.add = function(view) {
+		if (_views.indexOf(view) < 0)
+			_views.push(view);
+	};
+
+	/**
+	 * Removes view from context
+	 * 
+	 * @param {BigCollectionView} view   The view.
+	 */
+	this.remove = function(view) {
+		var index = _views.indexOf(view);
+		if (index >= 0)
+			_views.splice(index, 1);
+	};
+
+	/**
+	 * Finds view which container contains point
+	 * 
+	 * @param {Number} x   The X coordinate in viewport.
+	 * @param {Number} y   The Y coordinate in viewport.
+	 * 
+	 * @return {BigCollectionView} Returns view or null if point is outside of all views.
+	 */
+	this.findView = function(x, y) {
+		for (var i = 0; i < _views.length; ++i) {
+			var rect = _views[i].el.getBoundingClientRect();
+			if (rect.left <= x && x < rect.right && rect.top <= y && y < rect.bottom)
+				return _views[i];
+		}
+		return null;
+	};
+};
\ No newline at end of file
@@ -58,6 +58,27 @@ function LRUCache(options) {
 		_set.clear();
 	};
 
+	/**
+	 * Replaces every value in cache with the value returned by mapper.
+	 * Values mapped to null are dropped without calling remove callback.
+	 * Usage order of the remaining values is preserved.
+	 * 
+	 * @param {Function} mapper   The mapper. Signature is function(value).
+	 * @param {Object} context    The context for mapper. Optional.
+	 */
+	this.remap = function(mapper, context) {
+		var array = new Array();
+		_set.clear();
+		for (var i = 0; i < _array.length; ++i) {
+			var value = mapper.call(context, _array[i]);
+			if (value !== null) {
+				array.push(value);
+				_set.add(value);
+			}
+		}
+		_array = array;
+	};
+
 	/**
 	 * Checks if cache has this value
 	 * 
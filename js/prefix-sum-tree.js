@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) 2021 Vladimir Sviridov.
+ * Distributed under the MIT License (license terms are at http://opensource.org/licenses/MIT).
+ * 
+ * Module defines prefix sum tree class.
+ */
+
+/**
+ * Defines prefix sum tree (Fenwick tree) over array of values.
+ * Value update and prefix sum queries take O(log N) time.
+ */
+function PrefixSumTree() {
+	var _size = 0;
+	var _values = new Float64Array(0);
+	var _tree = new Float64Array(1); // 1-based indexing
+	var _highestBit = 0;
+
+	/**
+	 * Builds tree from values. Takes O(N) time.
+	 * 
+	 * @param {Array} values   The array of numbers.
+	 */
+	this.build = function(values) {
+		_size = values.length;
+		_values = Float64Array.from(values);
+		_tree = new Float64Array(_size + 1);
+		for (var i = 1; i <= _size; ++i) {
+			_tree[i] += _values[i - 1];
+			var parent = i + (i & -i);
+			if (parent <= _size)
+				_tree[parent] += _tree[i];
+		}
+		_highestBit = 1;
+		while (_highestBit * 2 <= _size)
+			_highestBit *= 2;
+	};
+
+	/**
+	 * Returns number of values
+	 * 
+	 * @return {Integer} Returns size.
+	 */
+	this.size = function() {
+		return _size;
+	};
+
+	/**
+	 * Returns value by index
+	 * 
+	 * @param {Integer} index   The index.
+	 * 
+	 * @return {Number} Returns value.
+	 */
+	this.get = function(index) {
+		return _values[index];
+	};
+
+	/**
+	 * Sets value by index
+	 * 
+	 * @param {Integer} index   The index.
+	 * @param {Number} value    The value.
+	 */
+	this.set = function(index, value) {
+		var delta = value - _values[index];
+		if (delta == 0)
+			return;
+		_values[index] = value;
+		for (var i = index + 1; i <= _size; i += i & -i)
+			_tree[i] += delta;
+	};
+
+	/**
+	 * Returns sum of values before index
+	 * 
+	 * @param {Integer} index   The index.
+	 * 
+	 * @return {Number} Returns sum of values in range [0, index).
+	 */
+	this.prefixSum = function(index) {
+		var sum = 0;
+		for (var i = Math.min(index, _size); i > 0; i -= i & -i)
+			sum += _tree[i];
+		return sum;
+	};
+
+	/**
+	 * Returns sum of all values
+	 * 
+	 * @return {Number} Returns total sum.
+	 */
+	this.total = function() {
+		return this.prefixSum(_size);
+	};
+
+	/**
+	 * Finds index of value which range contains the given sum.
+	 * Values are supposed to be non-negative.
+	 * 
+	 * @param {Number} sum   The sum.
+	 * 
+	 * @return {Integer} Returns index in range [0, size - 1] or -1 if tree is empty.
+	 */
+	this.findIndex = function(sum) {
+		var index = 0;
+		for (var bit = _highestBit; bit > 0; bit >>= 1) {
+			var next = index + bit;
+			if (next <= _size && _tree[next] <= sum) {
+				index = next;
+				sum -= _tree[next];
+			}
+		}
+		return Math.min(index, _size - 1);
+	};
+};
\ No newline at end of file
@@ -12,7 +12,7 @@ var ItemView = Backbone.View.extend({
 	template: _.template( $('.person').text() ),
 
 	initialize: function() {
-		this.model.bind('change', this.render, this);
+		this.listenTo(this.model, 'change', this.render);
 	},
 
 	render: function() {